@@ -0,0 +1,368 @@
+// src/audio.js
+import { noteFrequency } from './celebration.js';
+
+/**
+ * Garden sound on one shared AudioContext.
+ * Browsers only allow audio after a user gesture, so nothing is created until
+ * unlock() runs from the first tap or key press. Three buses feed a master
+ * gain that the mute toggle drives:
+ *   ambient  procedural wind (on the wind shaders' clock), birds by day, crickets at night
+ *   music    an optional track from the link (?music=<url>), ducked under UI sounds
+ *   ui       the chime and the celebration melody
+ */
+
+const LEVELS = { ambient: 0.7, music: 0.45, ui: 1.0 };
+const DUCK_LEVEL = 0.25;   // music gain while a UI sound plays
+const UPDATE_SEC = 0.1;    // ambient parameters are re-aimed ten times a second
+
+// --------------------
+// URL
+// --------------------
+function readParam(loc, name) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  return hash.get(name) ?? search.get(name);
+}
+
+/** `?music=<url>` (absolute, or relative to the page); only http(s) is played. */
+export function readMusic(loc = window.location) {
+  const value = readParam(loc, 'music');
+  if (!value) return null;
+  try {
+    const url = new URL(value, loc.href);
+    if (url.protocol === 'https:' || url.protocol === 'http:') return url.href;
+  } catch {}
+  console.warn('[audio] Ignoring music that is not an http(s) URL:', value);
+  return null;
+}
+
+/** `?sound=off` starts muted. */
+export function readMuted(loc = window.location) {
+  const value = readParam(loc, 'sound');
+  return value === 'off' || value === '0';
+}
+
+// --------------------
+// Helpers
+// --------------------
+const rand = (min, max) => min + Math.random() * (max - min);
+const smoothstep = (a, b, x) => {
+  const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+  return t * t * (3 - 2 * t);
+};
+
+// Two seconds of pink noise (Paul Kellet's filter); looped under a moving band-pass it's wind
+function createNoiseBuffer(ctx, seconds = 2) {
+  const buffer = ctx.createBuffer(1, Math.round(ctx.sampleRate * seconds), ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < data.length; i++) {
+    const white = Math.random() * 2 - 1;
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.96900 * b2 + white * 0.1538520;
+    b3 = 0.86650 * b3 + white * 0.3104856;
+    b4 = 0.55000 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.0168980;
+    data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+    b6 = white * 0.115926;
+  }
+  return buffer;
+}
+
+// --------------------
+// Audio
+// --------------------
+/**
+ * @param {object} [opts]
+ * @param {string | null} [opts.music]   track URL from readMusic()
+ * @param {boolean} [opts.muted]
+ */
+export function createAudio({ music = null, muted = false } = {}) {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  let ctx = null;
+  let master, buses, wind, musicDuck;
+  let musicEl = null;
+  let musicDirect = false;     // the track's host refused CORS: played outside the graph
+  let isMuted = muted;
+  let nextUpdate = 0;
+  let nextBird = 0;
+  let nextCricket = 0;
+  let disposed = false;
+
+  function build() {
+    ctx = new AudioCtx();
+
+    master = ctx.createGain();
+    master.gain.value = isMuted ? 0 : 1;
+    master.connect(ctx.destination);
+
+    buses = {};
+    for (const [name, level] of Object.entries(LEVELS)) {
+      buses[name] = ctx.createGain();
+      buses[name].gain.value = level;
+      buses[name].connect(master);
+    }
+
+    musicDuck = ctx.createGain();
+    musicDuck.connect(buses.music);
+
+    // Wind: looped noise through a band-pass whose level and pitch follow the gusts
+    const source = ctx.createBufferSource();
+    source.buffer = createNoiseBuffer(ctx);
+    source.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 500;
+    filter.Q.value = 0.7;
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    source.connect(filter).connect(gain).connect(buses.ambient);
+    source.start();
+    wind = { filter, gain };
+
+    document.addEventListener('visibilitychange', onVisibility);
+  }
+
+  // Placed somewhere in the stereo field when the browser can
+  function output(bus) {
+    if (!ctx.createStereoPanner) return bus;
+    const pan = ctx.createStereoPanner();
+    pan.pan.value = rand(-0.8, 0.8);
+    pan.connect(bus);
+    return pan;
+  }
+
+  function startMusic(crossOrigin = true) {
+    if (!music || musicEl) return;
+    musicEl = new Audio();
+    musicEl.loop = true;
+    musicEl.preload = 'auto';
+
+    if (crossOrigin) {
+      // Through the graph (mute and ducking) needs CORS; without it, retry as a plain element.
+      // Only a file from another origin can fail for want of CORS headers: anything
+      // else (a 404, a format the browser can't play) would just fail again
+      musicEl.crossOrigin = 'anonymous';
+      const source = ctx.createMediaElementSource(musicEl);
+      source.connect(musicDuck);
+      musicEl.addEventListener('error', () => {
+        source.disconnect();
+        musicEl = null;
+        if (new URL(music).origin !== window.location.origin) startMusic(false);
+        else console.warn('[audio] Music failed to load:', music);
+      }, { once: true });
+    } else {
+      musicDirect = true;
+      musicEl.volume = LEVELS.music;
+      musicEl.addEventListener('error', () => console.warn('[audio] Music failed to load:', music), { once: true });
+    }
+
+    musicEl.src = music;
+    if (!isMuted && !document.hidden) musicEl.play().catch(() => {});
+  }
+
+  function onVisibility() {
+    if (document.hidden) {
+      ctx.suspend();
+      musicEl?.pause();
+    } else if (!isMuted) {
+      ctx.resume();
+      musicEl?.play().catch(() => {});
+    }
+  }
+
+  /** Pulls the music down under a UI sound and lets it back up afterwards. */
+  function duck(seconds) {
+    const now = ctx.currentTime;
+    if (musicDirect) {
+      musicEl.volume = LEVELS.music * DUCK_LEVEL;
+      setTimeout(() => { if (musicEl) musicEl.volume = LEVELS.music; }, seconds * 1000);
+      return;
+    }
+    musicDuck.gain.cancelScheduledValues(now);
+    musicDuck.gain.setTargetAtTime(DUCK_LEVEL, now, 0.05);
+    musicDuck.gain.setTargetAtTime(1, now + seconds, 0.4);
+  }
+
+  // A context still resuming from the unlocking gesture plays what's scheduled once it runs
+  function ready() {
+    return ctx && !isMuted && ctx.state !== 'closed';
+  }
+
+  // --------------------
+  // Ambient
+  // --------------------
+  // A short phrase of falling or rising whistles
+  function bird(at, level) {
+    const out = output(buses.ambient);
+    const notes = Math.round(rand(2, 5));
+    const base = rand(2400, 4200);
+    for (let i = 0; i < notes; i++) {
+      const length = rand(0.05, 0.14);
+      const from = base * rand(0.85, 1.2);
+      const o = ctx.createOscillator();
+      const g = ctx.createGain();
+      o.type = 'sine';
+      o.frequency.setValueAtTime(from, at);
+      o.frequency.exponentialRampToValueAtTime(from * rand(0.7, 1.4), at + length);
+      g.gain.setValueAtTime(0.0001, at);
+      g.gain.exponentialRampToValueAtTime(0.05 * level, at + 0.015);
+      g.gain.exponentialRampToValueAtTime(0.0001, at + length);
+      o.connect(g).connect(out);
+      o.start(at);
+      o.stop(at + length + 0.02);
+      at += length + rand(0.03, 0.12);
+    }
+  }
+
+  // Three quick pulses near 4.5 kHz
+  function cricket(at, level) {
+    const out = output(buses.ambient);
+    const o = ctx.createOscillator();
+    const g = ctx.createGain();
+    o.type = 'sine';
+    o.frequency.value = rand(4300, 4800);
+    g.gain.setValueAtTime(0, at);
+    for (let i = 0; i < 3; i++) {
+      const t = at + i * 0.035;
+      g.gain.setTargetAtTime(0.025 * level, t, 0.003);
+      g.gain.setTargetAtTime(0, t + 0.018, 0.004);
+    }
+    o.connect(g).connect(out);
+    o.start(at);
+    o.stop(at + 0.15);
+  }
+
+  /**
+   * Call every frame.
+   * @param {object} state
+   * @param {number} state.windTime      the clock the wind shaders run on
+   * @param {number} state.windStrength  0 = still air
+   * @param {number} state.sunElevation  degrees; birds by day, crickets after dusk
+   */
+  function update({ windTime, windStrength, sunElevation }) {
+    if (!ready()) return;
+    const now = ctx.currentTime;
+    if (now < nextUpdate) return;
+    nextUpdate = now + UPDATE_SEC;
+
+    // Same frequencies as the shader sway, so the gusts line up with the stems
+    const gust = 0.55 + 0.3 * Math.sin(windTime * 1.1) + 0.15 * Math.sin(windTime * 0.37 + 1.3);
+    wind.gain.gain.setTargetAtTime((0.015 + 0.09 * gust) * windStrength, now, 0.3);
+    wind.filter.frequency.setTargetAtTime(320 + 650 * gust * windStrength, now, 0.3);
+
+    const daylight = smoothstep(-4, 6, sunElevation);
+    const night = smoothstep(0, -8, sunElevation);
+
+    if (daylight > 0.05 && now >= nextBird) {
+      bird(now + 0.05, daylight);
+      nextBird = now + rand(2.5, 8) / daylight;
+    }
+    if (night > 0.05 && now >= nextCricket) {
+      cricket(now + 0.05, night);
+      nextCricket = now + rand(0.5, 1.1);
+    }
+  }
+
+  // --------------------
+  // UI sounds
+  // --------------------
+  function chime() {
+    if (!ready()) return;
+    const now = ctx.currentTime;
+    const o = ctx.createOscillator();
+    const g = ctx.createGain();
+
+    o.type = 'sine';
+    o.frequency.setValueAtTime(880, now);
+    o.frequency.exponentialRampToValueAtTime(1320, now + 0.08);
+    o.frequency.exponentialRampToValueAtTime(660, now + 0.22);
+
+    g.gain.setValueAtTime(0.0001, now);
+    g.gain.exponentialRampToValueAtTime(0.10, now + 0.02);
+    g.gain.exponentialRampToValueAtTime(0.0001, now + 0.28);
+
+    o.connect(g).connect(buses.ui);
+    o.start();
+    o.stop(now + 0.3);
+    duck(0.3);
+  }
+
+  /** Plays a [note, beats] phrase on a soft two-oscillator voice. */
+  function melody({ bpm, notes }) {
+    if (!ready()) return;
+    const beat = 60 / bpm;
+    const voice = ctx.createGain();
+    voice.gain.value = 0.09;
+    voice.connect(buses.ui);
+
+    const start = ctx.currentTime + 0.05;
+    let at = start;
+    for (const [name, beats] of notes) {
+      const length = beats * beat;
+      const freq = name ? noteFrequency(name) : 0;
+
+      if (freq) {
+        const g = ctx.createGain();
+        g.gain.setValueAtTime(0.0001, at);
+        g.gain.exponentialRampToValueAtTime(1.0, at + 0.02);
+        g.gain.exponentialRampToValueAtTime(0.0001, at + length * 0.95 + 0.15);
+        g.connect(voice);
+
+        for (const [type, detune, level] of [['sine', 0, 1.0], ['triangle', 7, 0.35]]) {
+          const o = ctx.createOscillator();
+          const og = ctx.createGain();
+          o.type = type;
+          o.frequency.value = freq;
+          o.detune.value = detune;
+          og.gain.value = level;
+          o.connect(og).connect(g);
+          o.start(at);
+          o.stop(at + length + 0.2);
+        }
+      }
+      at += length;
+    }
+    duck(at - start + 0.2);
+  }
+
+  return {
+    /** Call from a user gesture (tap, click, key). Safe to call again. */
+    unlock() {
+      if (!AudioCtx || disposed) return;
+      if (!ctx) build();
+      if (!isMuted && ctx.state === 'suspended') ctx.resume();
+      startMusic();
+    },
+
+    get muted() { return isMuted; },
+
+    setMuted(value) {
+      isMuted = !!value;
+      if (!ctx) return;
+      master.gain.setTargetAtTime(isMuted ? 0 : 1, ctx.currentTime, 0.05);
+      if (musicEl) {
+        musicEl.muted = isMuted;
+        if (isMuted) musicEl.pause();
+        else musicEl.play().catch(() => {});
+      }
+      // Nothing to hear: let the audio thread sleep once the fade is done
+      if (isMuted) setTimeout(() => { if (isMuted) ctx.suspend(); }, 300);
+      else ctx.resume();
+    },
+
+    update,
+    chime,
+    melody,
+
+    dispose() {
+      disposed = true;
+      document.removeEventListener('visibilitychange', onVisibility);
+      musicEl?.pause();
+      musicEl = null;
+      ctx?.close();
+      ctx = null;
+    },
+  };
+}
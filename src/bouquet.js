@@ -0,0 +1,179 @@
+// src/bouquet.js
+import * as THREE from 'three';
+
+/**
+ * Pick-a-flower bouquet mini-game (?bouquet).
+ * The recipient gathers a few flowers of given colors from the field; the
+ * finished bouquet shows up in the clearing before the proposal card.
+ * Field flowers are sorted into a handful of color families by hue.
+ * Without a pointer, each color in the HUD is a button that gathers one, and
+ * the game can always be skipped.
+ */
+
+// Names shown in the HUD come from the message catalog (bouquetColors, in this order)
+export const BOUQUET_COLORS = {
+  pink:   { swatch: '#ff69b4' },
+  red:    { swatch: '#e8173c' },
+  purple: { swatch: '#9b7fd4' },
+  white:  { swatch: '#ffffff' },
+  yellow: { swatch: '#ffd23f' },
+};
+
+export const DEFAULT_BOUQUET = [
+  { color: 'pink', count: 3 },
+  { color: 'purple', count: 2 },
+  { color: 'white', count: 2 },
+];
+
+const MAX_PER_COLOR = 12;
+
+// --------------------
+// Color families
+// --------------------
+const hsl = { h: 0, s: 0, l: 0 };
+
+/** Sorts a flower's (linear) instance color into a family, judged in sRGB. */
+export function colorFamily(color) {
+  color.getHSL(hsl, THREE.SRGBColorSpace);
+  const { h, s, l } = hsl;
+
+  if (l > 0.93 || s < 0.2) return 'white';
+  if (h >= 0.08 && h < 0.2) return 'yellow';
+  if (h >= 0.6 && h < 0.85) return 'purple';
+  if ((h >= 0.955 || h < 0.08) && l < 0.62) return 'red';
+  return 'pink';
+}
+
+// --------------------
+// URL
+// --------------------
+/**
+ * `?bouquet` or `?bouquet=1` plays the default recipe, `?bouquet=5` asks for
+ * five flowers spread over the default colors, `?bouquet=pink:3,white:2`
+ * spells it out.
+ * @returns {null | {color: string, count: number}[]}
+ */
+export function readBouquet(loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const value = hash.get('bouquet') ?? search.get('bouquet');
+
+  if (value === null || value === '0' || value === 'off') return null;
+  if (value === '' || value === '1') return DEFAULT_BOUQUET.map((r) => ({ ...r }));
+
+  if (/^\d+$/.test(value)) {
+    const total = Math.min(Number(value), MAX_PER_COLOR * DEFAULT_BOUQUET.length);
+    const recipe = DEFAULT_BOUQUET.map(({ color }) => ({ color, count: 0 }));
+    for (let i = 0; i < total; i++) recipe[i % recipe.length].count++;
+    return recipe.filter((r) => r.count > 0);
+  }
+
+  const recipe = [];
+  for (const part of value.split(',')) {
+    const [color, n] = part.split(':');
+    const count = Math.round(Number(n ?? 1));
+    if (!Object.hasOwn(BOUQUET_COLORS, color) || !Number.isFinite(count) || count < 1) continue;
+    if (recipe.some((r) => r.color === color)) continue;
+    recipe.push({ color, count: Math.min(count, MAX_PER_COLOR) });
+  }
+  if (!recipe.length) console.warn('[bouquet] Ignoring unreadable recipe:', value);
+  return recipe.length ? recipe : DEFAULT_BOUQUET.map((r) => ({ ...r }));
+}
+
+// --------------------
+// Game + HUD
+// --------------------
+/**
+ * @param {{color: string, count: number}[]} recipe
+ * @param {object} opts
+ * @param {HTMLElement} opts.container   where the HUD goes
+ * @param {string} opts.title
+ * @param {Object<string, string>} [opts.labels]  color id -> name shown in the HUD
+ * @param {string} opts.gatherLabel   accessible name of a color's button; {color} is its name
+ * @param {string} opts.skipLabel
+ * @param {(family: string) => void} opts.onGather   a color's button was pressed
+ * @param {() => void} opts.onSkip
+ * @param {() => void} opts.onComplete
+ */
+export function createBouquetGame(recipe, {
+  container, title, labels = {}, gatherLabel, skipLabel, onGather, onSkip, onComplete,
+}) {
+  const wanted = recipe.map((r) => ({ ...r, got: 0 }));
+  let complete = false;
+
+  const hud = document.createElement('div');
+  hud.id = 'bouquet';
+
+  const heading = document.createElement('div');
+  heading.className = 'bouquet-title';
+  heading.textContent = title;
+
+  const list = document.createElement('ul');
+  list.setAttribute('role', 'status');
+  list.setAttribute('aria-live', 'polite');
+  const rows = wanted.map((w) => {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('aria-label', gatherLabel.replace('{color}', labels[w.color] ?? w.color));
+    button.addEventListener('click', () => onGather(w.color));
+    const swatch = document.createElement('span');
+    swatch.className = 'bouquet-swatch';
+    swatch.style.background = BOUQUET_COLORS[w.color].swatch;
+    const label = document.createElement('span');
+    button.append(swatch, label);
+    li.appendChild(button);
+    list.appendChild(li);
+    return { li, button, label };
+  });
+
+  const skip = document.createElement('button');
+  skip.type = 'button';
+  skip.className = 'bouquet-skip';
+  skip.textContent = skipLabel;
+  skip.addEventListener('click', () => onSkip());
+
+  hud.append(heading, list, skip);
+  container.appendChild(hud);
+
+  function render() {
+    wanted.forEach((w, i) => {
+      rows[i].label.textContent = `${labels[w.color] ?? w.color} ${w.got}/${w.count}`;
+      rows[i].li.classList.toggle('done', w.got >= w.count);
+      rows[i].button.disabled = complete || w.got >= w.count;
+    });
+    skip.disabled = complete;
+    hud.classList.toggle('done', complete);
+  }
+  render();
+
+  return {
+    /** The family this flower would fill, or null if it isn't needed. */
+    wants(color) {
+      if (complete) return null;
+      const family = colorFamily(color);
+      const w = wanted.find((x) => x.color === family);
+      return w && w.got < w.count ? family : null;
+    },
+
+    take(family) {
+      const w = wanted.find((x) => x.color === family);
+      if (complete || !w || w.got >= w.count) return;
+      w.got++;
+      complete = wanted.every((x) => x.got >= x.count);
+      render();
+      if (complete) onComplete();
+    },
+
+    get complete() { return complete; },
+
+    /** Whether `available` ({family: flowers left in the field}) can still fill the recipe. */
+    possible(available) {
+      return wanted.every((w) => w.got + (available[w.color] ?? 0) >= w.count);
+    },
+
+    hide() {
+      hud.classList.add('hide');
+    },
+  };
+}
@@ -0,0 +1,159 @@
+// src/cameraSequence.js
+import * as THREE from 'three';
+import { EASINGS, easeOutCubic } from './easing.js';
+
+/**
+ * Spline camera sequencer for scripted intros.
+ * A sequence is plain data: keyframes (camera position + look-at target),
+ * each with the time it takes to reach it from the previous one and an
+ * optional easing for that segment, plus an easing over the whole flight.
+ * Positions and targets each run through a centripetal Catmull-Rom spline.
+ * Sequences end at the home pose (where OrbitControls takes over) unless
+ * they set `endAtHome: false`; `hold` delays the start (default 0.3 s).
+ */
+
+export const CAMERA_SEQUENCES = {
+  // High over the far meadow, sweeping down and round into the clearing
+  flyover: {
+    easing: 'easeInOutSine',
+    keyframes: [
+      { position: [-78, 34, 80], target: [-10, 2, 0] },
+      { position: [-48, 20, 58], target: [-4, 2, 0], duration: 3.0 },
+      { position: [-14, 11, 40], target: [0, 2.5, 0], duration: 2.8 },
+      { position: [6, 6, 22], target: [0, 2.2, 0], duration: 2.4, easing: 'easeOutCubic' },
+    ],
+  },
+  // Starts low among the flowers, rises and circles in
+  rise: {
+    easing: 'easeInOutCubic',
+    keyframes: [
+      { position: [24, 0.9, 30], target: [18, 1.4, 20] },
+      { position: [20, 5, 22], target: [6, 2, 6], duration: 2.6 },
+      { position: [9, 6.5, 16], target: [0, 2, 0], duration: 2.4 },
+    ],
+  },
+};
+
+export const DEFAULT_INTRO = 'flyover';
+
+/**
+ * Opt-in: the page opens in free orbit unless the link asks for a flight.
+ * `?intro` plays DEFAULT_INTRO, `?intro=rise` picks a sequence, `?intro=0|off` (or nothing) skips it.
+ */
+export function readIntro(loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const value = hash.get('intro') ?? search.get('intro');
+
+  if (value === null || value === '0' || value === 'off') return null;
+  if (Object.hasOwn(CAMERA_SEQUENCES, value)) return value;
+  if (value !== '' && value !== '1') console.warn('[intro] Unknown sequence, playing the default:', value);
+  return DEFAULT_INTRO;
+}
+
+const SKIP_SEC = 0.8;   // blend to home when skipped
+const HOLD_SEC = 0.3;   // first frames compile shaders; don't waste the flight on them
+
+/**
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {object} sequence            one of CAMERA_SEQUENCES (or any authored alike)
+ * @param {object} opts
+ * @param {{position: THREE.Vector3, target: THREE.Vector3}} opts.home  where control is handed over
+ * @param {() => void} [opts.onDone]
+ */
+export function createCameraSequencer(camera, sequence, { home, onDone }) {
+  const keys = sequence.keyframes.map((k) => ({
+    position: new THREE.Vector3(...k.position),
+    target: new THREE.Vector3(...k.target),
+    duration: k.duration ?? 2.5,
+    easing: EASINGS[k.easing] ?? EASINGS.linear,
+  }));
+  if (sequence.endAtHome !== false) {
+    keys.push({
+      position: home.position.clone(),
+      target: home.target.clone(),
+      duration: sequence.homeDuration ?? 2.4,
+      easing: EASINGS.easeOutCubic,
+    });
+  }
+
+  const positions = new THREE.CatmullRomCurve3(keys.map((k) => k.position), false, 'centripetal');
+  const targets = new THREE.CatmullRomCurve3(keys.map((k) => k.target), false, 'centripetal');
+  const flightEasing = EASINGS[sequence.easing] ?? EASINGS.linear;
+
+  // Segment i runs from keys[i] to keys[i + 1]; its share of the flight is its duration
+  const starts = [0];
+  for (let i = 1; i < keys.length; i++) starts.push(starts[i - 1] + keys[i].duration);
+  const total = starts[starts.length - 1];
+
+  const pos = new THREE.Vector3();
+  const target = new THREE.Vector3();
+  let time = -(sequence.hold ?? HOLD_SEC);
+  let playing = keys.length > 1;
+  let skip = null;
+
+  function sample(seconds) {
+    const eased = flightEasing(THREE.MathUtils.clamp(seconds / total, 0, 1)) * total;
+
+    let i = 1;
+    while (i < keys.length - 1 && eased > starts[i]) i++;
+    const local = THREE.MathUtils.clamp((eased - starts[i - 1]) / keys[i].duration, 0, 1);
+    const u = (i - 1 + keys[i].easing(local)) / (keys.length - 1);
+
+    positions.getPoint(u, pos);
+    targets.getPoint(u, target);
+  }
+
+  function apply() {
+    camera.position.copy(pos);
+    camera.lookAt(target);
+  }
+
+  function finish() {
+    playing = false;
+    camera.position.copy(home.position);
+    camera.lookAt(home.target);
+    onDone?.();
+  }
+
+  if (playing) {
+    sample(0);
+    apply();
+  }
+
+  return {
+    get playing() { return playing; },
+
+    /** Advances the flight; returns false once control has been handed over. */
+    update(delta) {
+      if (!playing) return false;
+      // A hitch (hidden tab, long compile) shouldn't teleport the camera
+      delta = Math.min(delta, 0.1);
+
+      if (skip) {
+        skip.time += delta;
+        const k = easeOutCubic(Math.min(1, skip.time / SKIP_SEC));
+        pos.lerpVectors(skip.fromPosition, home.position, k);
+        target.lerpVectors(skip.fromTarget, home.target, k);
+        apply();
+        if (k >= 1) finish();
+        return playing;
+      }
+
+      time += delta;
+      if (time >= total) {
+        finish();
+        return false;
+      }
+      sample(Math.max(0, time));
+      apply();
+      return true;
+    },
+
+    /** Glides from wherever the flight is straight to the home pose. */
+    skip() {
+      if (!playing || skip) return;
+      skip = { time: 0, fromPosition: pos.clone(), fromTarget: target.clone() };
+    },
+  };
+}
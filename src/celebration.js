@@ -0,0 +1,95 @@
+// src/celebration.js
+
+/**
+ * Celebration after "Si".
+ * A timeline of cues, each naming an effect with a start time and a length.
+ * The effects themselves live in main.js; the timeline only says when they
+ * start, how far along they are, and when they end. Playing again restarts it.
+ */
+
+// at/duration in seconds
+export const CELEBRATION_CUES = [
+  { at: 0.0, duration: 6.0, effect: 'melody' },
+  { at: 0.0, duration: 2.5, effect: 'firework', scale: 1.0 },
+  { at: 0.9, duration: 2.0, effect: 'firework', scale: 0.6 },
+  { at: 0.2, duration: 3.5, effect: 'pullBack' },
+  { at: 0.4, duration: 4.5, effect: 'bloomWave' },
+  { at: 0.3, duration: 9.0, effect: 'heartSurge' },
+];
+
+// [note, beats]; null is a rest
+export const CELEBRATION_MELODY = {
+  bpm: 112,
+  notes: [
+    ['E5', 0.5], ['G5', 0.5], ['C6', 1], ['B5', 0.5], ['A5', 0.5], ['G5', 1],
+    ['E5', 0.5], ['F5', 0.5], ['G5', 0.5], ['A5', 0.5], ['G5', 1.5], [null, 0.5],
+    ['C6', 0.5], ['E6', 0.5], ['D6', 0.5], ['C6', 0.5], ['C6', 2],
+  ],
+};
+
+const NOTE_INDEX = { C: -9, D: -7, E: -5, F: -4, G: -2, A: 0, B: 2 };
+
+/** 'A4' -> 440, 'C#5' -> 554.37 */
+export function noteFrequency(name) {
+  const m = /^([A-G])(#|b)?(\d)$/.exec(name);
+  if (!m) return 0;
+  const semitones = NOTE_INDEX[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0) + (Number(m[3]) - 4) * 12;
+  return 440 * Math.pow(2, semitones / 12);
+}
+
+/**
+ * @param {typeof CELEBRATION_CUES} cues
+ * @param {Object<string, {start?: (cue) => void, update?: (p: number, cue) => void, end?: (cue) => void}>} effects
+ */
+export function createTimeline(cues, effects) {
+  let time = 0;
+  let playing = false;
+  let state = cues.map(() => 'idle');
+  const length = Math.max(...cues.map((c) => c.at + c.duration));
+
+  function endActive() {
+    cues.forEach((cue, i) => {
+      if (state[i] === 'active') effects[cue.effect]?.end?.(cue);
+    });
+  }
+
+  return {
+    get playing() { return playing; },
+
+    play() {
+      if (playing) endActive();
+      time = 0;
+      playing = true;
+      state = cues.map(() => 'idle');
+    },
+
+    stop() {
+      if (!playing) return;
+      endActive();
+      playing = false;
+    },
+
+    update(delta) {
+      if (!playing) return;
+      time += Math.min(delta, 0.1);
+
+      cues.forEach((cue, i) => {
+        const effect = effects[cue.effect];
+        if (state[i] === 'idle' && time >= cue.at) {
+          state[i] = 'active';
+          effect?.start?.(cue);
+        }
+        if (state[i] !== 'active') return;
+
+        const p = Math.min(1, (time - cue.at) / cue.duration);
+        effect?.update?.(p, cue);
+        if (p >= 1) {
+          state[i] = 'done';
+          effect?.end?.(cue);
+        }
+      });
+
+      if (time >= length) playing = false;
+    },
+  };
+}
@@ -0,0 +1,131 @@
+// src/dayCycle.js
+import { SKY_PRESETS, lerpSkyConfig } from './skyPresets.js';
+
+/**
+ * Day/night cycle.
+ * The sun follows either the viewer's local clock or an accelerated timeline,
+ * and the rest of the sky (gradient, fog, lights, exposure, stars, moon) is
+ * blended from the mood presets according to the sun's elevation.
+ */
+
+export const CYCLE_MODES = ['off', 'clock', 'timeline'];
+
+// --------------------
+// Sun position
+// --------------------
+const deg = Math.PI / 180;
+
+/**
+ * Approximate solar position for a local solar hour (0..24) and day of year.
+ * Good to a degree or two, which is plenty for a sky dome.
+ * @returns {{ elevation: number, azimuth: number }} degrees; azimuth clockwise from north
+ */
+export function solarPosition(hours, dayOfYear = 172, latitude = 40) {
+  const decl = -23.44 * Math.cos((2 * Math.PI / 365) * (dayOfYear + 10)) * deg;
+  const lat = latitude * deg;
+  const hourAngle = (hours - 12) * 15 * deg;
+
+  const sinEl = Math.sin(lat) * Math.sin(decl) + Math.cos(lat) * Math.cos(decl) * Math.cos(hourAngle);
+  const el = Math.asin(Math.max(-1, Math.min(1, sinEl)));
+
+  const cosAz = (Math.sin(decl) - Math.sin(el) * Math.sin(lat)) / (Math.cos(el) * Math.cos(lat) || 1e-6);
+  let az = Math.acos(Math.max(-1, Math.min(1, cosAz)));
+  if (hourAngle > 0) az = 2 * Math.PI - az; // afternoon: west of south
+
+  return { elevation: el / deg, azimuth: az / deg };
+}
+
+// --------------------
+// Sky from sun elevation
+// --------------------
+// [elevation°, preset]; mornings use dawn, evenings use sunset at the low keys
+const MORNING_KEYS = [[-12, 'night'], [-2, 'dawn'], [6, 'dawn'], [14, 'goldenHour'], [35, 'day']];
+const EVENING_KEYS = [[-12, 'night'], [-2, 'sunset'], [6, 'sunset'], [14, 'goldenHour'], [35, 'day']];
+
+/**
+ * Writes the sky for a sun at (elevation, azimuth) into `out`.
+ * The moon sits roughly opposite the sun.
+ */
+export function skyForSun(elevation, azimuth, morning, out) {
+  const keys = morning ? MORNING_KEYS : EVENING_KEYS;
+
+  let i = 0;
+  while (i < keys.length - 2 && elevation > keys[i + 1][0]) i++;
+  const [e0, p0] = keys[i];
+  const [e1, p1] = keys[i + 1];
+  const k = Math.min(1, Math.max(0, (elevation - e0) / (e1 - e0)));
+
+  lerpSkyConfig(SKY_PRESETS[p0], SKY_PRESETS[p1], k, out);
+
+  out.sunElevation = elevation;
+  out.sunAzimuth = azimuth;
+  out.moonElevation = Math.max(-10, -elevation * 0.8 + 10);
+  out.moonAzimuth = (azimuth + 180) % 360;
+  return out;
+}
+
+// --------------------
+// Cycle driver
+// --------------------
+/**
+ * @param {object} opts
+ * @param {'clock'|'timeline'} opts.mode
+ * @param {number} [opts.dayLengthSec]  timeline: real seconds per 24h
+ * @param {number} [opts.startHour]     timeline: hour at t = 0
+ * @param {number} [opts.latitude]
+ */
+export function createDayCycle({ mode, dayLengthSec = 180, startHour = 6, latitude = 40 }) {
+  let lastClockUpdate = -Infinity;
+
+  function hoursAt(elapsed) {
+    if (mode === 'clock') {
+      const now = new Date();
+      return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+    }
+    return (startHour + (elapsed / dayLengthSec) * 24) % 24;
+  }
+
+  function dayOfYear() {
+    const now = new Date();
+    return Math.floor((now - new Date(now.getFullYear(), 0, 0)) / 86400000);
+  }
+
+  /** Returns true when `sky` was updated. */
+  function update(elapsed, sky) {
+    // The real clock moves slowly; once a second is plenty
+    if (mode === 'clock') {
+      if (elapsed - lastClockUpdate < 1) return false;
+      lastClockUpdate = elapsed;
+    }
+
+    const hours = hoursAt(elapsed);
+    const { elevation, azimuth } = solarPosition(hours, dayOfYear(), latitude);
+    skyForSun(elevation, azimuth, hours < 12, sky);
+    return true;
+  }
+
+  return { mode, update, hoursAt };
+}
+
+/** `?cycle=clock|timeline|off`, `dayLength` (seconds), `hour` (timeline start), `lat` (degrees north). */
+export function readDayCycle(loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const get = (k) => hash.get(k) ?? search.get(k);
+
+  const out = {};
+  const mode = get('cycle');
+  if (CYCLE_MODES.includes(mode)) out.dayCycle = mode;
+
+  const dayLength = Number(get('dayLength'));
+  if (Number.isFinite(dayLength) && dayLength >= 10) out.dayLengthSec = Math.min(dayLength, 86400);
+
+  const hour = Number(get('hour'));
+  if (get('hour') !== null && Number.isFinite(hour)) out.dayStartHour = ((hour % 24) + 24) % 24;
+
+  // Degrees north; kept off the poles, where the sun's azimuth is undefined
+  const lat = Number(get('lat'));
+  if (get('lat') !== null && Number.isFinite(lat)) out.latitude = Math.min(89, Math.max(-89, lat));
+
+  return out;
+}
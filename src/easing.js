@@ -0,0 +1,15 @@
+// src/easing.js
+
+/**
+ * Easing curves, t in [0, 1]. Named so data (camera sequences) can refer to them.
+ */
+export function linear(t) { return t; }
+export function easeOutCubic(t) { return 1 - Math.pow(1 - t, 3); }
+export function easeInOutCubic(t) { return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; }
+export function easeInOutSine(t) { return -(Math.cos(Math.PI * t) - 1) / 2; }
+export function easeOutBack(t) {
+  const c1 = 1.70158, c3 = c1 + 1;
+  return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+}
+
+export const EASINGS = { linear, easeOutCubic, easeInOutCubic, easeInOutSine, easeOutBack };
@@ -0,0 +1,314 @@
+// src/editor.js
+
+/**
+ * In-browser garden editor.
+ * A toggleable panel with grouped controls for SKY_CONFIG and CONFIG.
+ * The panel only edits the config objects and reports what changed;
+ * main.js decides how to apply it (uniform update vs. rebuild).
+ * Group titles and field labels are message keys (see i18n.js).
+ */
+
+const color = (target, prop, label) => ({ target, prop, label, type: 'color' });
+const range = (target, prop, label, min, max, step, opts = {}) =>
+  ({ target, prop, label, type: 'range', min, max, step, ...opts });
+
+// --------------------
+// Control groups
+// --------------------
+export const EDITOR_GROUPS = [
+  {
+    title: 'editorSky',
+    fields: [
+      color('sky', 'topColor', 'editorTopColor'),
+      color('sky', 'horizonColor', 'editorHorizonColor'),
+      color('sky', 'bottomColor', 'editorBottomColor'),
+      range('sky', 'atmosphericScatter', 'editorScatter', 0, 1, 0.01),
+      range('sky', 'horizonFalloff', 'editorHorizonFalloff', 1, 10, 0.1),
+    ],
+  },
+  {
+    title: 'editorSun',
+    fields: [
+      range('sky', 'sunElevation', 'editorSunElevation', -10, 90, 0.5),
+      range('sky', 'sunAzimuth', 'editorSunAzimuth', 0, 360, 1),
+      range('sky', 'sunIntensity', 'editorSunIntensity', 0, 3, 0.05),
+      range('sky', 'sunSize', 'editorSunSize', 0.005, 0.15, 0.005),
+      range('sky', 'glowIntensity', 'editorGlow', 0, 3, 0.05),
+    ],
+  },
+  {
+    title: 'editorSkyModel',
+    fields: [
+      { target: 'sky', prop: 'skyModel', label: 'editorSkyModelField', type: 'select', options: ['gradient', 'physical'] },
+      range('sky', 'turbidity', 'editorTurbidity', 1, 20, 0.1),
+      range('sky', 'rayleigh', 'editorRayleigh', 0, 4, 0.05),
+      range('sky', 'mieCoefficient', 'editorMie', 0, 0.1, 0.001),
+      range('sky', 'mieDirectionalG', 'editorMieHalo', 0, 0.999, 0.001),
+    ],
+  },
+  {
+    title: 'editorNight',
+    fields: [
+      range('sky', 'starIntensity', 'editorStars', 0, 1, 0.01),
+      range('sky', 'moonIntensity', 'editorMoon', 0, 2, 0.05),
+      range('sky', 'moonElevation', 'editorMoonElevation', -10, 90, 0.5),
+      range('sky', 'moonAzimuth', 'editorMoonAzimuth', 0, 360, 1),
+      range('sky', 'moonSize', 'editorMoonSize', 0.005, 0.1, 0.005),
+    ],
+  },
+  {
+    title: 'editorLighting',
+    fields: [
+      range('sky', 'ambientIntensity', 'editorAmbient', 0, 2, 0.01),
+      range('sky', 'sunLightIntensity', 'editorSunLight', 0, 4, 0.05),
+      range('sky', 'hemiIntensity', 'editorHemisphere', 0, 2, 0.01),
+    ],
+  },
+  {
+    title: 'editorFogExposure',
+    fields: [
+      color('sky', 'fogColor', 'editorFogColor'),
+      range('sky', 'fogDensity', 'editorFogDensity', 0, 0.05, 0.0005),
+      range('sky', 'exposure', 'editorExposure', 0.2, 3, 0.05),
+    ],
+  },
+  {
+    title: 'editorFlowers',
+    fields: [
+      { target: 'cfg', prop: 'seed', label: 'editorSeed', type: 'seed', rebuild: true },
+      range('cfg', 'flowerCount', 'editorFlowerCount', 0, 30000, 500, { rebuild: true }),
+      range('cfg', 'fieldRadius', 'editorFieldRadius', 30, 200, 5, { rebuild: true }),
+      { target: 'cfg', prop: 'flowerPalette', label: 'editorPalette', type: 'palette', rebuild: true },
+      range('cfg', 'roseHeight', 'editorRoseHeight', 1, 12, 0.1),
+    ],
+  },
+  {
+    title: 'editorPost',
+    fields: [
+      { target: 'post', prop: 'bloom', label: 'editorBloom', type: 'toggle' },
+      { target: 'post', prop: 'dof', label: 'editorDof', type: 'toggle' },
+      { target: 'post', prop: 'grade', label: 'editorGrade', type: 'toggle' },
+      { target: 'post', prop: 'vignette', label: 'editorVignette', type: 'toggle' },
+      { target: 'post', prop: 'grain', label: 'editorGrain', type: 'toggle' },
+    ],
+  },
+  {
+    title: 'editorHearts',
+    fields: [
+      range('cfg', 'heartCount', 'editorHeartCount', 0, 3000, 50, { rebuild: true }),
+      range('cfg', 'heartScale', 'editorHeartScale', 0.05, 2, 0.05, { rebuild: true }),
+    ],
+  },
+];
+
+// --------------------
+// Panel
+// --------------------
+/**
+ * @param {object} opts
+ * @param {Object<string, string>} opts.text  messages (editor* keys)
+ * @param {object} opts.sky           SKY_CONFIG (mutated in place)
+ * @param {object} opts.cfg           CONFIG (mutated in place)
+ * @param {object} [opts.post]        post-processing settings (mutated in place)
+ * @param {string[]} [opts.presets]   sky preset names for the mood picker
+ * @param {(name: string) => void} [opts.onPreset]
+ * @param {(target: string, prop: string) => void} opts.onChange
+ * @param {() => string} opts.getShareLink
+ * @param {() => string} opts.getJSON
+ * @param {() => void} opts.onReset
+ */
+export function createEditor({ text, sky, cfg, post = null, presets = [], onPreset, onChange, getShareLink, getJSON, onReset }) {
+  const overlay = document.getElementById('overlay') || document.body;
+
+  const toggle = document.createElement('button');
+  toggle.id = 'editor-toggle';
+  toggle.type = 'button';
+  toggle.textContent = '🎛️';
+  toggle.setAttribute('aria-label', text.editorTitle);
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.setAttribute('aria-controls', 'editor');
+
+  const panel = document.createElement('div');
+  panel.id = 'editor';
+  panel.setAttribute('role', 'region');
+  panel.setAttribute('aria-label', text.editorTitle);
+  panel.hidden = true;
+
+  const inputs = [];
+  const targets = { sky, cfg, post };
+
+  if (presets.length && onPreset) {
+    const row = document.createElement('label');
+    row.className = 'editor-row';
+    const name = document.createElement('span');
+    name.textContent = text.editorMood;
+    const select = document.createElement('select');
+    select.append(new Option('—', ''), ...presets.map((p) => new Option(p, p)));
+    select.addEventListener('change', () => {
+      if (select.value) onPreset(select.value);
+      select.value = '';
+    });
+    row.append(name, select);
+    panel.appendChild(row);
+  }
+
+  for (const group of EDITOR_GROUPS) {
+    if (!group.fields.every((f) => targets[f.target])) continue;
+    const fs = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = text[group.title];
+    fs.appendChild(legend);
+
+    for (const field of group.fields) {
+      fs.appendChild(createField(field, targets[field.target], () => onChange(field.target, field.prop), inputs, text));
+    }
+    panel.appendChild(fs);
+  }
+
+  // Export
+  const out = document.createElement('textarea');
+  out.readOnly = true;
+  out.rows = 3;
+  out.setAttribute('aria-label', text.editorExported);
+
+  const status = document.createElement('div');
+  status.className = 'editor-status';
+  status.setAttribute('role', 'status');
+
+  const actions = document.createElement('div');
+  actions.className = 'editor-actions';
+  actions.append(
+    button(text.editorCopyLink, () => exportText(getShareLink(), text.editorLinkCopied)),
+    button(text.editorCopyJSON, () => exportText(getJSON(), text.editorJSONCopied)),
+    button(text.editorReset, () => {
+      onReset();
+      inputs.forEach((sync) => sync());
+      status.textContent = text.editorResetDone;
+    }),
+  );
+  panel.append(actions, out, status);
+
+  overlay.append(toggle, panel);
+
+  function exportText(value, message) {
+    out.value = value;
+    out.select();
+    const done = () => { status.textContent = message; };
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(value).then(done, () => { status.textContent = text.editorCopyManually; });
+    } else {
+      status.textContent = text.editorCopyManually;
+    }
+  }
+
+  function setOpen(open) {
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+  }
+
+  toggle.addEventListener('click', () => setOpen(panel.hidden));
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') { setOpen(false); toggle.focus(); }
+  });
+
+  return {
+    open: () => setOpen(true),
+    close: () => setOpen(false),
+    sync: () => inputs.forEach((sync) => sync()),
+  };
+}
+
+function createField(field, obj, changed, inputs, text) {
+  // Multi-input rows can't be a single <label>
+  const multi = field.type === 'seed' || field.type === 'palette';
+  const row = document.createElement(multi ? 'div' : 'label');
+  row.className = 'editor-row';
+
+  const name = document.createElement('span');
+  const label = text[field.label];
+  name.textContent = label;
+  row.appendChild(name);
+
+  // Heavy props (rebuilds) apply on release, the rest live while dragging
+  const liveEvent = field.rebuild ? 'change' : 'input';
+
+  if (field.type === 'color') {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.addEventListener('input', () => { obj[field.prop] = input.value; changed(); });
+    inputs.push(() => { input.value = obj[field.prop]; });
+    row.appendChild(input);
+  } else if (field.type === 'range') {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    const value = document.createElement('output');
+    input.addEventListener('input', () => { value.textContent = input.value; });
+    input.addEventListener(liveEvent, () => { obj[field.prop] = Number(input.value); changed(); });
+    inputs.push(() => { input.value = obj[field.prop]; value.textContent = obj[field.prop]; });
+    row.append(input, value);
+  } else if (field.type === 'toggle') {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.addEventListener('change', () => { obj[field.prop] = input.checked; changed(); });
+    inputs.push(() => { input.checked = !!obj[field.prop]; });
+    row.appendChild(input);
+  } else if (field.type === 'select') {
+    const select = document.createElement('select');
+    select.append(...field.options.map((o) => new Option(o, o)));
+    select.addEventListener('change', () => { obj[field.prop] = select.value; changed(); });
+    inputs.push(() => { select.value = obj[field.prop]; });
+    row.appendChild(select);
+  } else if (field.type === 'seed') {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.step = 1;
+    const apply = () => { obj[field.prop] = Math.max(0, Math.floor(Number(input.value) || 0)) >>> 0; changed(); };
+    input.addEventListener('change', apply);
+    const dice = button('🎲', () => {
+      input.value = Math.floor(Math.random() * 4294967295);
+      apply();
+    });
+    dice.setAttribute('aria-label', text.editorRandomSeed);
+    inputs.push(() => { input.value = obj[field.prop]; });
+    row.append(input, dice);
+  } else if (field.type === 'palette') {
+    const swatches = document.createElement('span');
+    swatches.className = 'editor-palette';
+    const render = () => {
+      swatches.replaceChildren(...obj[field.prop].map((hex, i) => {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = hex;
+        input.setAttribute('aria-label', text.editorPaletteColor.replace('{label}', label).replace('{n}', i + 1));
+        input.addEventListener('change', () => {
+          obj[field.prop] = obj[field.prop].map((c, j) => (j === i ? input.value : c));
+          changed();
+        });
+        return input;
+      }));
+    };
+    inputs.push(render);
+    row.appendChild(swatches);
+  }
+
+  inputs[inputs.length - 1]();
+  return row;
+}
+
+function button(text, onClick) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.textContent = text;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+export function isEditorRequested(loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  return hash.has('edit') || search.has('edit');
+}
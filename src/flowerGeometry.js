@@ -0,0 +1,323 @@
+// src/flowerGeometry.js
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+/**
+ * Geometry for the meadow: one builder per species (see FLOWER_SPECIES),
+ * each at three levels of detail, plus the impostor card for the farthest LOD.
+ * Pure geometry, no materials or DOM, so the test suite builds it in Node.
+ */
+
+// --------------------
+// Smooth Leaf Geometry for Field Flowers
+// --------------------
+export function createSmoothLeafGeometry(length = 0.3, width = 0.12) {
+  const shape = new THREE.Shape();
+
+  shape.moveTo(0, 0);
+  shape.quadraticCurveTo(-width/2, length/3, -width/2, 2*length/3);
+  shape.quadraticCurveTo(-width/2, length, 0, length);
+  shape.quadraticCurveTo(width/2, length, width/2, 2*length/3);
+  shape.quadraticCurveTo(width/2, length/3, 0, 0);
+
+  const geo = new THREE.ShapeGeometry(shape, 12);
+
+  // Add curvature
+  const pos = geo.attributes.position;
+  for (let i = 0; i < pos.count; i++) {
+    const x = pos.getX(i);
+    const y = pos.getY(i);
+    const curve = Math.sin((y / length) * Math.PI) * Math.abs(x) * 1.5;
+    pos.setZ(i, curve);
+  }
+  pos.needsUpdate = true;
+  geo.computeVertexNormals();
+
+  return geo;
+}
+
+// --------------------
+// Petal Shape for Field Flowers
+// --------------------
+export function createPetalShape() {
+  const shape = new THREE.Shape();
+  shape.moveTo(0, 0);
+  shape.bezierCurveTo(-0.05, 0.1, -0.15, 0.25, -0.15, 0.4);
+  shape.bezierCurveTo(-0.15, 0.55, -0.05, 0.7, 0, 0.7);
+  shape.bezierCurveTo(0.05, 0.7, 0.15, 0.55, 0.15, 0.4);
+  shape.bezierCurveTo(0.15, 0.25, 0.05, 0.1, 0, 0);
+  return shape;
+}
+
+// --------------------
+// Daisy
+// --------------------
+/**
+ * @param {number} detail 0 = full flower, 1-2 = cheaper stand-ins for the distance LODs
+ * @param {() => number} [rng]  petal jitter, LOD0 only; without it the petals are evenly spaced
+ */
+export function buildSingleFlowerGeometry(detail = 0, rng = null) {
+  // Petal layers per detail level; LOD0 keeps the original look
+  const spec = [
+    {
+      petalSegments: 16, centerSegments: [14, 12], stemSides: 8, leaves: 2,
+      layers: [{ count: 6, size: 0.8, out: 0.5, radius: 0.1 }, { count: 8, size: 1.0, out: 0.65, radius: 0 }],
+    },
+    {
+      petalSegments: 5, centerSegments: [7, 5], stemSides: 5, leaves: 1,
+      layers: [{ count: 8, size: 1.0, out: 0.6, radius: 0 }],
+    },
+    {
+      petalSegments: 2, centerSegments: [5, 3], stemSides: 3, leaves: 0,
+      layers: [{ count: 6, size: 1.05, out: 0.6, radius: 0 }],
+    },
+  ][detail];
+
+  const stem = new THREE.CylinderGeometry(0.035, 0.055, 1.5, spec.stemSides);
+  stem.translate(0, 0.75, 0);
+
+  const leafGeo = createSmoothLeafGeometry(0.4, 0.18);
+
+  const leaf1 = leafGeo.clone();
+  leaf1.rotateZ(-0.65);
+  leaf1.translate(0.20, 0.60, 0.06);
+
+  const leaf2 = leafGeo.clone();
+  leaf2.rotateZ(0.65);
+  leaf2.rotateY(Math.PI * 0.7);
+  leaf2.translate(-0.18, 0.75, -0.04);
+
+  const petalShape = createPetalShape();
+  const singlePetalGeo = new THREE.ShapeGeometry(petalShape, spec.petalSegments);
+
+  // Add curvature to petals
+  const petalLength = 0.7;
+  const petalPos = singlePetalGeo.attributes.position;
+  for (let i = 0; i < petalPos.count; i++) {
+    const x = petalPos.getX(i);
+    const y = petalPos.getY(i);
+    const curve = Math.sin((y / petalLength) * Math.PI) * Math.abs(x) * 1.5;
+    petalPos.setZ(i, curve);
+  }
+  petalPos.needsUpdate = true;
+  singlePetalGeo.computeVertexNormals();
+
+  const petals = [];
+  for (let layer of spec.layers) {
+    for (let i = 0; i < layer.count; i++) {
+      const angle = (i / layer.count) * Math.PI * 2 + (detail === 0 && rng ? rng() * 0.1 : 0);
+      const petal = singlePetalGeo.clone();
+      petal.scale(layer.size, layer.size, layer.size);
+      petal.rotateY(angle);
+      petal.rotateX(layer.out);
+      petal.translate(0, 1.55, layer.radius);
+      petals.push(petal);
+    }
+  }
+
+  const center = new THREE.SphereGeometry(0.12, ...spec.centerSegments);
+  center.translate(0, 1.55, 0);
+
+  const leaves = [leaf1, leaf2].slice(0, spec.leaves);
+  const merged = mergeGeometries([stem, ...leaves, ...petals, center], false);
+
+  const pos = merged.attributes.position;
+  const colors = new Float32Array(pos.count * 3);
+
+  const cStem = new THREE.Color(0x2db86e);
+  const cLeaf = new THREE.Color(0x229955);
+  const cPetal = new THREE.Color(0xffffff);
+  const cCenter = new THREE.Color(0xffd700);
+
+  for (let i = 0; i < pos.count; i++) {
+    const x = pos.getX(i), y = pos.getY(i), z = pos.getZ(i);
+    const r = Math.sqrt(x * x + z * z);
+
+    let c = cPetal;
+    if (y < 1.2) c = cStem;
+    else if (y < 1.35 && r > 0.14) c = cLeaf;
+    else if (y > 1.48 && r < 0.16) c = cCenter;
+
+    colors[i * 3 + 0] = c.r;
+    colors[i * 3 + 1] = c.g;
+    colors[i * 3 + 2] = c.b;
+  }
+
+  merged.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  merged.computeVertexNormals();
+  return merged;
+}
+
+// --------------------
+// Meadow species geometry
+// --------------------
+// Detail 0..2 per species, nearest LOD first. White parts take the instance
+// color; only the daisy's LOD0 (built in createFlowerField) gets seeded petal jitter.
+export function flowerBuilder(id) {
+  return {
+    daisy: buildSingleFlowerGeometry,
+    tulip: buildTulipGeometry,
+    sprayRose: buildSprayRoseGeometry,
+    lavender: buildLavenderGeometry,
+    babysBreath: buildBabysBreathGeometry,
+  }[id];
+}
+
+function paintGeometry(geo, hex) {
+  const c = new THREE.Color(hex);
+  const colors = new Float32Array(geo.attributes.position.count * 3);
+  for (let i = 0; i < colors.length; i += 3) {
+    colors[i] = c.r;
+    colors[i + 1] = c.g;
+    colors[i + 2] = c.b;
+  }
+  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  return geo;
+}
+
+function buildFieldStem(height, radius, sides) {
+  const stem = new THREE.CylinderGeometry(radius * 0.65, radius, height, sides);
+  stem.translate(0, height / 2, 0);
+  return paintGeometry(stem, 0x2db86e);
+}
+
+// Thin cylinder from a to b (branches)
+function buildTwig(a, b, radius, sides) {
+  const dir = new THREE.Vector3().subVectors(b, a);
+  const twig = new THREE.CylinderGeometry(radius * 0.7, radius, dir.length(), sides);
+  const q = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir.clone().normalize());
+  const mid = new THREE.Vector3().addVectors(a, b).multiplyScalar(0.5);
+  twig.applyMatrix4(new THREE.Matrix4().compose(mid, q, new THREE.Vector3(1, 1, 1)));
+  return paintGeometry(twig, 0x2db86e);
+}
+
+// Upright leaf leaning out by `lean`, turned to `yaw`
+function buildFieldLeaf(length, width, lean, yaw, y) {
+  const leaf = createSmoothLeafGeometry(length, width);
+  leaf.rotateZ(lean);
+  leaf.rotateY(yaw);
+  leaf.translate(0, y, 0);
+  return paintGeometry(leaf, 0x229955);
+}
+
+// Open cup with `lobes` petal tips around the rim
+function buildPetalCup(profile, segments, lobes, tipHeight, twist = 0) {
+  const cup = new THREE.LatheGeometry(profile.map(([r, y]) => new THREE.Vector2(r, y)), segments);
+  const top = profile[profile.length - 1][1];
+  const pos = cup.attributes.position;
+  for (let i = 0; i < pos.count; i++) {
+    const x = pos.getX(i), y = pos.getY(i), z = pos.getZ(i);
+    const t = (y / top) ** 2;
+    pos.setY(i, y + tipHeight * t * Math.abs(Math.cos(Math.atan2(z, x) * lobes / 2)));
+  }
+  cup.rotateY(twist);
+  cup.computeVertexNormals();
+  return paintGeometry(cup, 0xffffff);
+}
+
+function buildTulipGeometry(detail = 0) {
+  const segments = [18, 10, 6][detail];
+  const profile = [[0.02, 0], [0.12, 0.03], [0.17, 0.12], [0.175, 0.24], [0.14, 0.36]];
+  const rows = [profile, [profile[0], profile[2], profile[4]], [profile[0], profile[2], profile[4]]][detail];
+
+  const cup = buildPetalCup(rows, segments, 6, 0.07);
+  cup.translate(0, 1.22, 0);
+
+  const parts = [buildFieldStem(1.25, 0.04, [8, 5, 3][detail]), cup];
+  if (detail < 2) {
+    parts.push(buildFieldLeaf(0.75, 0.16, -0.25, 0, 0.02));
+    parts.push(buildFieldLeaf(0.6, 0.14, -0.3, Math.PI * 0.9, 0.04));
+  }
+  return mergeGeometries(parts, false);
+}
+
+function buildSprayRoseGeometry(detail = 0) {
+  const segments = [14, 9, 6][detail];
+  const layers = [
+    { scale: 0.55, height: 0.2, open: 0.0 },
+    { scale: 0.85, height: 0.16, open: 0.03 },
+    { scale: 1.15, height: 0.12, open: 0.07 },
+  ].slice(detail === 0 ? 0 : detail === 1 ? 1 : 2);
+
+  const parts = [buildFieldStem(1.15, 0.035, [7, 5, 3][detail])];
+  layers.forEach((layer, k) => {
+    const s = layer.scale;
+    const petals = buildPetalCup(
+      [[0.02, 0], [0.09 * s, 0.04], [0.12 * s, layer.height * 0.6], [0.11 * s + layer.open, layer.height]],
+      segments, 5, 0.035, k * 0.7
+    );
+    petals.translate(0, 1.12, 0);
+    parts.push(petals);
+  });
+
+  const sepals = paintGeometry(new THREE.ConeGeometry(0.07, 0.08, [6, 5, 3][detail]), 0x229955);
+  sepals.rotateX(Math.PI);
+  sepals.translate(0, 1.11, 0);
+  parts.push(sepals);
+
+  if (detail < 2) parts.push(buildFieldLeaf(0.25, 0.12, -0.8, 0.4, 0.6));
+  if (detail < 1) parts.push(buildFieldLeaf(0.22, 0.11, -0.8, Math.PI + 0.4, 0.8));
+  return mergeGeometries(parts, false);
+}
+
+function buildLavenderGeometry(detail = 0) {
+  const parts = [buildFieldStem(1.15, 0.022, [5, 4, 3][detail])];
+
+  if (detail < 2) {
+    const whorls = [9, 6][detail];
+    const florets = [5, 4][detail];
+    for (let w = 0; w < whorls; w++) {
+      const k = w / whorls;
+      const y = 1.15 + k * 0.7;
+      const ring = 0.045 * (1 - k * 0.5);
+      for (let f = 0; f < florets; f++) {
+        const a = (f / florets) * Math.PI * 2 + w * 0.6;
+        const floret = new THREE.SphereGeometry(0.038 * (1 - k * 0.4), [5, 4][detail], [4, 3][detail]);
+        floret.translate(Math.cos(a) * ring, y, Math.sin(a) * ring);
+        parts.push(paintGeometry(floret, 0xffffff));
+      }
+    }
+    parts.push(buildFieldLeaf(0.35, 0.05, -0.35, 0, 0));
+    if (detail === 0) parts.push(buildFieldLeaf(0.3, 0.05, -0.4, Math.PI, 0));
+  } else {
+    const spike = new THREE.CylinderGeometry(0.025, 0.06, 0.72, 4);
+    spike.translate(0, 1.15 + 0.36, 0);
+    parts.push(paintGeometry(spike, 0xffffff));
+  }
+  return mergeGeometries(parts, false);
+}
+
+function buildBabysBreathGeometry(detail = 0) {
+  const tips = [7, 5, 3][detail];
+  const florets = [6, 4, 1][detail];
+  const floretRadius = [0.03, 0.035, 0.08][detail];
+  const fork = new THREE.Vector3(0, 0.9, 0);
+
+  const parts = [buildFieldStem(0.9, 0.018, [5, 4, 3][detail])];
+  for (let i = 0; i < tips; i++) {
+    // Golden-angle spread, fixed per index so every LOD keeps the same silhouette
+    const a = i * 2.39996;
+    const reach = 0.18 + 0.14 * ((i * 0.618) % 1);
+    const tip = new THREE.Vector3(Math.cos(a) * reach, 1.15 + 0.28 * ((i * 0.382) % 1), Math.sin(a) * reach);
+    parts.push(buildTwig(fork, tip, 0.009, 3));
+
+    for (let f = 0; f < florets; f++) {
+      const fa = f * 2.39996 + i;
+      const spread = florets > 1 ? 0.05 : 0;
+      const floret = new THREE.SphereGeometry(floretRadius, 4, 3);
+      floret.translate(tip.x + Math.cos(fa) * spread, tip.y + ((f % 3) - 1) * spread * 0.6, tip.z + Math.sin(fa) * spread);
+      parts.push(paintGeometry(floret, 0xffffff));
+    }
+  }
+  return mergeGeometries(parts, false);
+}
+
+// --------------------
+// Flower impostor (farthest LOD)
+// --------------------
+// Same footprint as the species' full geometry
+export function buildFlowerImpostorGeometry(width, height) {
+  const geo = new THREE.PlaneGeometry(width, height);
+  geo.translate(0, height / 2, 0);
+  return geo;
+}
@@ -0,0 +1,234 @@
+// src/flowerLod.js
+import * as THREE from 'three';
+
+/**
+ * Chunked level-of-detail for instanced fields.
+ * Instances are bucketed into square ground chunks and sorted so every chunk
+ * is one contiguous range. Each refresh walks the chunks, skips the ones
+ * outside the camera frustum, picks a LOD by distance and copies the chunk's
+ * range into that LOD's instance buffers with a single typed-array set().
+ */
+
+/**
+ * Sorts per-instance data by chunk. Plain typed arrays in and out, so it runs
+ * in the geometry worker (gardenData.js) next to the layout itself.
+ * @param {object} data
+ * @param {Float32Array} data.matrices  16 per instance
+ * @param {Object<string, {array: Float32Array, itemSize: number}>} data.attributes  extra per-instance data
+ * @param {Float32Array} data.xz        ground position, 2 per instance
+ * @param {number} chunkSize
+ * @returns {{matrices: Float32Array, attributes: object, ids: Uint32Array, starts: Int32Array, bounds: Float32Array}}
+ *   the sorted data, where chunk c is instances starts[c]..starts[c + 1], with
+ *   its ground circle (center x, z, radius) at bounds[c * 3]
+ */
+export function chunkInstances({ matrices, attributes, xz }, chunkSize) {
+  const count = xz.length / 2;
+
+  const keys = new Map();
+  const chunkOf = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    const key = `${Math.floor(xz[i * 2] / chunkSize)},${Math.floor(xz[i * 2 + 1] / chunkSize)}`;
+    if (!keys.has(key)) keys.set(key, keys.size);
+    chunkOf[i] = keys.get(key);
+  }
+
+  // Counting sort by chunk keeps the original (random) order inside each chunk,
+  // so a prefix of any chunk is still an even sample of it
+  const starts = new Int32Array(keys.size + 1);
+  for (let i = 0; i < count; i++) starts[chunkOf[i] + 1]++;
+  for (let c = 0; c < keys.size; c++) starts[c + 1] += starts[c];
+
+  const fill = starts.slice(0, keys.size);
+  const ids = new Uint32Array(count);
+  for (let i = 0; i < count; i++) ids[fill[chunkOf[i]]++] = i;
+
+  const sorted = {
+    matrices: gather(matrices, 16, ids),
+    attributes: {},
+    ids,
+    starts,
+    bounds: new Float32Array(keys.size * 3),
+  };
+  for (const [name, { array, itemSize }] of Object.entries(attributes)) {
+    sorted.attributes[name] = { array: gather(array, itemSize, ids), itemSize };
+  }
+
+  for (let c = 0; c < keys.size; c++) {
+    const start = starts[c];
+    const end = starts[c + 1];
+
+    let cx = 0, cz = 0;
+    for (let s = start; s < end; s++) { cx += xz[ids[s] * 2]; cz += xz[ids[s] * 2 + 1]; }
+    cx /= end - start;
+    cz /= end - start;
+
+    let r = 0;
+    for (let s = start; s < end; s++) {
+      r = Math.max(r, Math.hypot(xz[ids[s] * 2] - cx, xz[ids[s] * 2 + 1] - cz));
+    }
+    sorted.bounds.set([cx, cz, r], c * 3);
+  }
+
+  return sorted;
+}
+
+/**
+ * Culling spheres for chunkInstances() output. Done on the main thread,
+ * where the flower geometry (and so the height) is known.
+ * @param {ReturnType<typeof chunkInstances>} sorted
+ * @param {number} height  tallest instance
+ */
+export function chunkField(sorted, height) {
+  const { starts, bounds } = sorted;
+  const chunks = [];
+  for (let c = 0; c < starts.length - 1; c++) {
+    const [cx, cz, r] = bounds.subarray(c * 3, c * 3 + 3);
+    chunks.push({
+      start: starts[c],
+      end: starts[c + 1],
+      sphere: new THREE.Sphere(new THREE.Vector3(cx, height * 0.5, cz), Math.hypot(r + 1.0, height * 0.5)),
+    });
+  }
+  return { chunks, sorted };
+}
+
+function gather(src, itemSize, ids) {
+  const out = new Float32Array(ids.length * itemSize);
+  for (let s = 0; s < ids.length; s++) {
+    const from = ids[s] * itemSize;
+    for (let k = 0; k < itemSize; k++) out[s * itemSize + k] = src[from + k];
+  }
+  return out;
+}
+
+// --------------------
+// Runtime assignment
+// --------------------
+const frustum = new THREE.Frustum();
+const projScreen = new THREE.Matrix4();
+
+/**
+ * @param {object} field               result of chunkField()
+ * @param {THREE.InstancedMesh[]} meshes one per LOD, nearest first
+ * @param {number[]} distances         LOD switch distances (meshes.length - 1 of them)
+ */
+export function createLodAssigner(field, meshes, distances) {
+  const { chunks, sorted } = field;
+  const lastPos = new THREE.Vector3(Infinity, 0, 0);
+  const lastQuat = new THREE.Quaternion();
+  let density = 1;
+  let dirty = true;
+
+  // slot -> original instance index, per LOD (for picking), and back
+  const slotIds = meshes.map((m) => new Uint32Array(m.instanceMatrix.count));
+  const lodOf = new Int8Array(sorted.ids.length).fill(-1);
+  const slotOf = new Int32Array(sorted.ids.length);
+  const sortedIndex = new Uint32Array(sorted.ids.length);
+  sorted.ids.forEach((id, s) => { sortedIndex[id] = s; });
+
+  function assign(camera) {
+    camera.updateMatrixWorld();
+    projScreen.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(projScreen);
+
+    const filled = meshes.map(() => 0);
+    const camPos = camera.position;
+    lodOf.fill(-1);
+
+    for (const chunk of chunks) {
+      if (!frustum.intersectsSphere(chunk.sphere)) continue;
+
+      const d = Math.max(0, camPos.distanceTo(chunk.sphere.center) - chunk.sphere.radius);
+      let lod = 0;
+      while (lod < distances.length && d > distances[lod]) lod++;
+
+      const len = Math.round((chunk.end - chunk.start) * density);
+      if (!len) continue;
+
+      const mesh = meshes[lod];
+      const at = filled[lod];
+      const from = chunk.start;
+
+      mesh.instanceMatrix.array.set(sorted.matrices.subarray(from * 16, (from + len) * 16), at * 16);
+      for (const [name, { array, itemSize }] of Object.entries(sorted.attributes)) {
+        const attr = name === 'instanceColor' ? mesh.instanceColor : mesh.geometry.attributes[name];
+        if (attr) attr.array.set(array.subarray(from * itemSize, (from + len) * itemSize), at * itemSize);
+      }
+      slotIds[lod].set(sorted.ids.subarray(from, from + len), at);
+      for (let k = 0; k < len; k++) {
+        lodOf[sorted.ids[from + k]] = lod;
+        slotOf[sorted.ids[from + k]] = at + k;
+      }
+
+      filled[lod] += len;
+    }
+
+    meshes.forEach((mesh, lod) => {
+      mesh.count = filled[lod];
+      mesh.boundingSphere = null; // instances moved; raycasting recomputes it
+      markUsed(mesh.instanceMatrix, filled[lod]);
+      if (mesh.instanceColor) markUsed(mesh.instanceColor, filled[lod]);
+      for (const name of Object.keys(sorted.attributes)) {
+        const attr = mesh.geometry.attributes[name];
+        if (attr) markUsed(attr, filled[lod]);
+      }
+    });
+  }
+
+  /** Re-assigns only when the camera moved or turned enough to matter. */
+  function update(camera, force = false) {
+    const moved = camera.position.distanceToSquared(lastPos) > 0.25;
+    const turned = camera.quaternion.angleTo(lastQuat) > 0.03;
+    if (!dirty && !force && !moved && !turned) return;
+
+    assign(camera);
+    lastPos.copy(camera.position);
+    lastQuat.copy(camera.quaternion);
+    dirty = false;
+  }
+
+  return {
+    update,
+    slotIds,
+
+    /** Where instance `id` is drawn right now, or null when culled. */
+    locate(id) {
+      return lodOf[id] < 0 ? null : { lod: lodOf[id], slot: slotOf[id] };
+    },
+
+    /** The instance's resting matrix (what update() writes). */
+    matrixOf(id, target) {
+      return target.fromArray(sorted.matrices, sortedIndex[id] * 16);
+    },
+
+    /** Replaces the resting matrix (e.g. zero scale hides a picked flower). */
+    setMatrixOf(id, matrix) {
+      matrix.toArray(sorted.matrices, sortedIndex[id] * 16);
+      if (lodOf[id] < 0) return;
+      const attr = meshes[lodOf[id]].instanceMatrix;
+      matrix.toArray(attr.array, slotOf[id] * 16);
+      attr.addUpdateRange(slotOf[id] * 16, 16);
+      attr.needsUpdate = true;
+    },
+
+    attributeOf(name, id, target = []) {
+      const { array, itemSize } = sorted.attributes[name];
+      for (let k = 0; k < itemSize; k++) target[k] = array[sortedIndex[id] * itemSize + k];
+      return target;
+    },
+
+    setDensity(fraction) {
+      density = fraction;
+      dirty = true;
+    },
+    invalidate() {
+      dirty = true;
+    },
+  };
+}
+
+function markUsed(attr, count) {
+  attr.clearUpdateRanges();
+  attr.addUpdateRange(0, Math.max(1, count) * attr.itemSize);
+  attr.needsUpdate = true;
+}
@@ -0,0 +1,121 @@
+// src/flowerSpecies.js
+
+/**
+ * Meadow flower species.
+ * Each species has its own share of the field, palette (applied to the
+ * white parts of its geometry), size range, wind response and clustering.
+ * The geometry builders live in flowerGeometry.js (see `flowerBuilder`),
+ * keyed by `id`.
+ */
+
+// palette: null = use CONFIG.flowerPalette (the one the editor and share links control)
+// height/scale: per-instance ranges; wind.sway: per-instance amplitude range, wind.speed: gust frequency
+// patch: typical patch radius (world units); cohesion: chance a flower follows its patch
+export const FLOWER_SPECIES = [
+  {
+    id: 'daisy',
+    share: 0.34,
+    palette: null,
+    height: [0.6, 1.6],
+    scale: [0.65, 1.4],
+    wind: { sway: [0.3, 1.1], speed: 1.1 },
+    patch: 14,
+    cohesion: 0.55,
+  },
+  {
+    id: 'tulip',
+    share: 0.2,
+    palette: ['#e8173c', '#ff3b5c', '#ff7aa2', '#ffd23f', '#fff3e6', '#c2185b'],
+    height: [0.9, 1.3],
+    scale: [0.8, 1.15],
+    wind: { sway: [0.15, 0.45], speed: 0.8 },   // stiff stems, slow nod
+    patch: 8,
+    cohesion: 0.85,
+  },
+  {
+    id: 'sprayRose',
+    share: 0.14,
+    palette: ['#b3123a', '#e0245e', '#ff6f91', '#ffa5b8', '#ff8a65', '#fff0f3'],
+    height: [0.75, 1.15],
+    scale: [0.75, 1.1],
+    wind: { sway: [0.2, 0.55], speed: 0.9 },
+    patch: 6,
+    cohesion: 0.8,
+  },
+  {
+    id: 'lavender',
+    share: 0.18,
+    palette: ['#9b7fd4', '#8a6bc9', '#b39ddb', '#7e57c2', '#a78bdf'],
+    height: [0.85, 1.35],
+    scale: [0.8, 1.2],
+    wind: { sway: [0.6, 1.4], speed: 1.35 },    // thin spikes whip in the wind
+    patch: 10,
+    cohesion: 0.9,
+  },
+  {
+    id: 'babysBreath',
+    share: 0.14,
+    palette: ['#ffffff', '#fff5f8', '#ffe4ec', '#f8f0ff'],
+    height: [0.7, 1.1],
+    scale: [0.8, 1.25],
+    wind: { sway: [0.8, 1.6], speed: 1.6 },     // airy, trembles
+    patch: 5,
+    cohesion: 0.4,                              // mostly scattered between the others
+  },
+];
+
+/**
+ * Builds a species picker for field positions.
+ * Patch centers are scattered over the field and each takes a species; a
+ * flower joins the nearest patch (distance scaled by that species' patch
+ * size) with the species' cohesion, otherwise it's a plain share-weighted pick.
+ * Seeds are weighted by share / patch² so larger patches don't inflate a
+ * species' share of the field.
+ * @param {typeof FLOWER_SPECIES} species
+ * @param {number} innerRadius
+ * @param {number} outerRadius
+ * @param {() => number} rng  seeded [0, 1) generator
+ * @returns {(x: number, z: number) => number} species index
+ */
+export function createSpeciesPicker(species, innerRadius, outerRadius, rng) {
+  const shareTotal = species.reduce((sum, s) => sum + s.share, 0);
+  const weighted = (weightOf) => {
+    const weights = species.map(weightOf);
+    const total = weights.reduce((a, b) => a + b, 0);
+    return () => {
+      let r = rng() * total;
+      for (let i = 0; i < weights.length; i++) {
+        r -= weights[i];
+        if (r < 0) return i;
+      }
+      return weights.length - 1;
+    };
+  };
+
+  const byShare = weighted((s) => s.share / shareTotal);
+  const bySeed = weighted((s) => s.share / (s.patch * s.patch));
+
+  const meanPatch = species.reduce((sum, s) => sum + s.patch * s.share, 0) / shareTotal;
+  const area = Math.PI * (outerRadius * outerRadius - innerRadius * innerRadius);
+  const seedCount = Math.max(species.length, Math.round(area / (Math.PI * meanPatch * meanPatch)));
+
+  const seeds = [];
+  for (let i = 0; i < seedCount; i++) {
+    const r = Math.sqrt(innerRadius * innerRadius + rng() * (outerRadius * outerRadius - innerRadius * innerRadius));
+    const a = rng() * Math.PI * 2;
+    seeds.push({ x: Math.cos(a) * r, z: Math.sin(a) * r, species: bySeed() });
+  }
+
+  return (x, z) => {
+    let best = 0;
+    let bestD = Infinity;
+    for (const seed of seeds) {
+      const d = Math.hypot(x - seed.x, z - seed.z) / species[seed.species].patch;
+      if (d < bestD) {
+        bestD = d;
+        best = seed.species;
+      }
+    }
+    return rng() < species[best].cohesion ? best : byShare();
+  };
+}
@@ -0,0 +1,313 @@
+// src/gardenData.js
+import * as THREE from 'three';
+import { FLOWER_SPECIES, createSpeciesPicker } from './flowerSpecies.js';
+import { chunkInstances } from './flowerLod.js';
+import { createStream } from './random.js';
+
+/**
+ * Procedural garden data: the heavy, DOM-free part of building the scene.
+ * Each generator takes plain parameters and returns plain typed arrays, so it
+ * runs the same in the geometry worker (see generator.worker.js) and, when
+ * workers aren't available, on the main thread. main.js turns the arrays
+ * into geometries, materials and meshes.
+ */
+
+// --------------------
+// Ground
+// --------------------
+/** Terrain height; the grass and anything else on the ground sits on this. */
+export function groundHeight(x, z) {
+  return (
+    Math.sin(x * 0.035) * 0.09 +
+    Math.cos(z * 0.030) * 0.09 +
+    Math.sin((x + z) * 0.020) * 0.06
+  );
+}
+
+/** Gently rolling plane with grass-like vertex color patches. */
+export function generateGround({ size = 260, segments = 120 } = {}) {
+  const geo = new THREE.PlaneGeometry(size, size, segments, segments);
+  geo.rotateX(-Math.PI / 2);
+
+  const p = geo.attributes.position;
+  for (let i = 0; i < p.count; i++) {
+    p.setY(i, groundHeight(p.getX(i), p.getZ(i)));
+  }
+  geo.computeVertexNormals();
+
+  // Vertex colors: greener + grass-like patching
+  const colors = new Float32Array(p.count * 3);
+  const base = new THREE.Color(0x2f7d32);   // vivid grass green
+  const dark = new THREE.Color(0x1f5f2a);   // shadowy patches
+  const light = new THREE.Color(0x4caf50);  // sunlit patches
+  const c = new THREE.Color();
+
+  for (let i = 0; i < p.count; i++) {
+    const x = p.getX(i);
+    const z = p.getZ(i);
+
+    // Cheap pseudo-noise blend (no textures)
+    const n1 = 0.5 + 0.5 * Math.sin(x * 0.09) * Math.cos(z * 0.08);
+    const n2 = 0.5 + 0.5 * Math.sin((x + z) * 0.05);
+    const n = (n1 * 0.65 + n2 * 0.35);
+
+    // Mix base->dark->light
+    c.copy(base).lerp(dark, (1.0 - n) * 0.55).lerp(light, n * 0.45);
+    c.toArray(colors, i * 3);
+  }
+
+  return {
+    position: p.array,
+    normal: geo.attributes.normal.array,
+    uv: geo.attributes.uv.array,
+    color: colors,
+    index: geo.index.array,
+  };
+}
+
+/**
+ * Grass "fuzz": points scattered uniformly, so any prefix is an evenly thinned
+ * lawn. The same seed gives the same lawn at any count (phones just stop sooner).
+ */
+export function generateGrass({ seed, count, extent = 250 }) {
+  const rng = createStream(seed, 'grass');
+  const position = new Float32Array(count * 3);
+  const size = new Float32Array(count);
+  const phase = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const x = (rng() - 0.5) * extent;
+    const z = (rng() - 0.5) * extent;
+
+    position[i * 3 + 0] = x;
+    position[i * 3 + 1] = groundHeight(x, z) + 0.01; // slight lift to avoid z-fighting
+    position[i * 3 + 2] = z;
+
+    size[i] = 0.035 + rng() * 0.055;  // short blades
+    phase[i] = rng() * Math.PI * 2;   // wind variation
+  }
+
+  return { position, size, phase };
+}
+
+// --------------------
+// Flower field
+// --------------------
+/**
+ * Where every field flower stands, per species (FLOWER_SPECIES order): its
+ * instance matrix, tint, wind sway and phase, and ground position.
+ * Deterministic for a given seed. Placement, species and looks draw from
+ * separate streams, so a species with a new palette or height range doesn't
+ * move a single flower.
+ * @param {object} opts
+ * @param {number} opts.seed
+ * @param {number} opts.count
+ * @param {number} opts.clearRadius   flowers start outside the clearing...
+ * @param {number} opts.fieldRadius   ...and end here
+ * @param {string[]} opts.palette     for species without their own palette
+ */
+export function generateFlowerLayout({ seed, count, clearRadius, fieldRadius, palette }) {
+  const place = createStream(seed, 'flowers').range;
+  const looks = createStream(seed, 'flower-looks');
+  const rand = looks.range;
+
+  const species = FLOWER_SPECIES.map((def) => ({
+    def,
+    palette: (def.palette || palette).map((hex) => new THREE.Color(hex)),
+    matrices: [],
+    colors: [],
+    sway: [],
+    phase: [],
+    xz: [],
+  }));
+  const speciesAt = createSpeciesPicker(FLOWER_SPECIES, clearRadius, fieldRadius, createStream(seed, 'species'));
+
+  const tmpM = new THREE.Matrix4();
+  const tmpQ = new THREE.Quaternion();
+  const tmpE = new THREE.Euler();
+  const tmpS = new THREE.Vector3();
+  const tmpP = new THREE.Vector3();
+  const c = new THREE.Color();
+
+  for (let i = 0; i < count; i++) {
+    const r = clearRadius + place(0, 1) * (fieldRadius - clearRadius);
+    const a = place(0, Math.PI * 2);
+    const x = Math.cos(a) * r + place(-2.5, 2.5);
+    const z = Math.sin(a) * r + place(-2.5, 2.5);
+
+    const sp = species[speciesAt(x, z)];
+    const { def } = sp;
+
+    const h = rand(...def.height);
+    const s = rand(...def.scale);
+    const tiltX = rand(-0.18, 0.18);
+    const tiltZ = rand(-0.18, 0.18);
+    const yaw = rand(0, Math.PI * 2);
+
+    tmpP.set(x, 0, z);
+    tmpQ.setFromEuler(tmpE.set(tiltX, yaw, tiltZ, 'XYZ'));
+    tmpS.set(s, s * h, s);
+
+    tmpM.compose(tmpP, tmpQ, tmpS);
+    sp.matrices.push(...tmpM.elements);
+    sp.xz.push(x, z);
+
+    c.copy(sp.palette[Math.floor(looks() * sp.palette.length)]);
+    c.offsetHSL(rand(-0.02, 0.02), rand(-0.03, 0.03), rand(-0.04, 0.04));
+    sp.colors.push(c.r, c.g, c.b);
+
+    sp.sway.push(rand(...def.wind.sway));
+    sp.phase.push(rand(0, Math.PI * 2));
+  }
+
+  return {
+    species: species.map((sp) => ({
+      matrices: new Float32Array(sp.matrices),
+      colors: new Float32Array(sp.colors),
+      sway: new Float32Array(sp.sway),
+      phase: new Float32Array(sp.phase),
+      xz: new Float32Array(sp.xz),
+    })),
+  };
+}
+
+/**
+ * generateFlowerLayout(), already sorted into ground chunks (flowerLod.js),
+ * so the main thread only has to build the meshes. xz and colors stay in
+ * flower order, for lookups by id.
+ * @param {object} opts  generateFlowerLayout()'s, plus:
+ * @param {number} opts.chunkSize
+ */
+export function generateChunkedFlowerLayout({ chunkSize, ...opts }) {
+  return {
+    species: generateFlowerLayout(opts).species.map((sp) => ({
+      xz: sp.xz,
+      colors: sp.colors,
+      chunked: chunkInstances({
+        matrices: sp.matrices,
+        attributes: {
+          instanceColor: { array: sp.colors, itemSize: 3 },
+          aSway: { array: sp.sway, itemSize: 1 },
+          aPhase: { array: sp.phase, itemSize: 1 },
+        },
+        xz: sp.xz,
+      }, chunkSize),
+    })),
+  };
+}
+
+// --------------------
+// Rose petals
+// --------------------
+/** The rose's spiral petal surface (28 x 320 grid), with smooth normals. */
+export function generateRosePetals() {
+  // Helper: positive modulo (JS % keeps sign, which causes spikes for negative theta)
+  const mod = (n, m) => ((n % m) + m) % m;
+
+  const nu = 28;      // radial divisions
+  const nv = 320;     // angular divisions (576 is heavy and amplifies artifacts)
+  const positions = new Float32Array(nu * nv * 3);
+  const indices = new Uint32Array((nu - 1) * (nv - 1) * 6);
+
+  const TWO_PI = Math.PI * 2;
+
+  let v = 0;
+  for (let i = 0; i < nu; i++) {
+    const x = i / (nu - 1);
+
+    for (let j = 0; j < nv; j++) {
+      // Keep your same theta span, but computed cleanly
+      const theta = -TWO_PI + (j / (nv - 1)) * (17 * Math.PI);
+
+      const phi = (Math.PI / 2) * Math.exp(-theta / (8 * Math.PI));
+
+      // FIX: safe modulo so the term is consistent for negative theta
+      const t = mod(3.6 * theta, TWO_PI) / Math.PI; // 0..2
+      const inner = 1 - (t);                        // similar structure to your original
+
+      // Original shape term, but stabilized
+      let X =
+        1 - 0.5 * Math.pow(
+          (5 / 4) * (1 - Math.pow(inner, 2)) - 0.25,
+          2
+        );
+
+      // Clamp X so it can't create runaway geometry
+      X = THREE.MathUtils.clamp(X, 0.05, 1.35);
+
+      const y = 1.95653 * (x ** 2) * ((1.27689 * x - 1) ** 2) * Math.sin(phi);
+
+      let r = X * (x * Math.sin(phi) + y * Math.cos(phi));
+      let h = X * (x * Math.cos(phi) - y * Math.sin(phi));
+
+      // Avoid degeneracy on the axis (r ~ 0 creates long skinny triangles)
+      const eps = 0.002;
+      if (!Number.isFinite(r) || !Number.isFinite(h)) {
+        r = eps;
+        h = 0;
+      } else if (r < eps) {
+        r = eps;
+      }
+
+      // Size + placement tuning
+      const scale = 0.30;
+      r *= scale;
+      h *= scale;
+
+      const px = r * Math.sin(theta);
+      const py = h + 0.62; // aligns closer to stem top (stem top is ~0.65)
+      const pz = r * Math.cos(theta);
+
+      const base = v * 3;
+      positions[base] = px;
+      positions[base + 1] = py;
+      positions[base + 2] = pz;
+
+      v++;
+    }
+  }
+
+  // Indices (two triangles per quad)
+  let k = 0;
+  for (let i = 0; i < nu - 1; i++) {
+    for (let j = 0; j < nv - 1; j++) {
+      const a = i * nv + j;
+      const b = (i + 1) * nv + j;
+      const c = (i + 1) * nv + (j + 1);
+      const d = i * nv + (j + 1);
+
+      indices[k++] = a; indices[k++] = b; indices[k++] = d;
+      indices[k++] = b; indices[k++] = c; indices[k++] = d;
+    }
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geo.setIndex(new THREE.BufferAttribute(indices, 1));
+  geo.computeVertexNormals();
+
+  return { position: positions, normal: geo.attributes.normal.array, index: indices };
+}
+
+// --------------------
+// Jobs
+// --------------------
+/** Everything the generator can be asked for, by name. */
+export const GARDEN_JOBS = {
+  ground: generateGround,
+  grass: generateGrass,
+  flowerLayout: generateChunkedFlowerLayout,
+  rosePetals: generateRosePetals,
+};
+
+/** The buffers behind every typed array in a result, for a zero-copy postMessage. */
+export function transferablesOf(result, out = []) {
+  for (const value of Object.values(result)) {
+    if (ArrayBuffer.isView(value)) {
+      if (!out.includes(value.buffer)) out.push(value.buffer);
+    } else if (value && typeof value === 'object') {
+      transferablesOf(value, out);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,78 @@
+// src/generator.js
+import { GARDEN_JOBS } from './gardenData.js';
+import { nextFrame } from './loading.js';
+
+/**
+ * Runs garden generators (gardenData.js) in a worker so startup doesn't block
+ * input. Where module workers aren't available, or the worker fails to start,
+ * the same generators run on the main thread, one at a time with a painted
+ * frame before each, so the page still gets to draw between them.
+ */
+export function createGardenGenerator() {
+  const pending = new Map();
+  let nextId = 0;
+  let worker = null;
+  let localQueue = Promise.resolve();
+
+  try {
+    if (typeof Worker !== 'undefined') {
+      worker = new Worker(new URL('./generator.worker.js', import.meta.url), { type: 'module' });
+    }
+  } catch (err) {
+    console.warn('[generator] No worker, generating on the main thread:', err);
+  }
+
+  function runLocally(job, params) {
+    const result = localQueue.then(nextFrame).then(() => GARDEN_JOBS[job](params));
+    localQueue = result.catch(() => {});
+    return result;
+  }
+
+  // A worker that can't load its module errors instead of answering: redo its jobs here
+  function fallBack(err) {
+    console.warn('[generator] Worker failed, generating on the main thread:', err?.message ?? err);
+    worker?.terminate();
+    worker = null;
+    for (const { job, params, resolve, reject } of pending.values()) {
+      runLocally(job, params).then(resolve, reject);
+    }
+    pending.clear();
+  }
+
+  if (worker) {
+    worker.onmessage = ({ data: { id, result, error } }) => {
+      const task = pending.get(id);
+      if (!task) return;
+      pending.delete(id);
+      if (error) task.reject(new Error(`[generator] ${task.job}: ${error}`));
+      else task.resolve(result);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      fallBack(e);
+    };
+  }
+
+  return {
+    /**
+     * @param {keyof typeof GARDEN_JOBS} job
+     * @param {object} [params]  structured-cloneable
+     * @returns {Promise<object>} the generator's typed arrays
+     */
+    run(job, params = {}) {
+      if (!worker) return runLocally(job, params);
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { job, params, resolve, reject });
+        worker.postMessage({ id, job, params });
+      });
+    },
+
+    dispose() {
+      worker?.terminate();
+      worker = null;
+      for (const task of pending.values()) task.reject(new Error('[generator] Disposed'));
+      pending.clear();
+    },
+  };
+}
@@ -0,0 +1,17 @@
+// src/generator.worker.js
+import { GARDEN_JOBS, transferablesOf } from './gardenData.js';
+
+/**
+ * Geometry worker: runs gardenData.js generators off the main thread and
+ * hands the typed arrays back without copying.
+ * In: { id, job, params }   Out: { id, result } or { id, error }
+ */
+
+self.onmessage = ({ data: { id, job, params } }) => {
+  try {
+    const result = GARDEN_JOBS[job](params);
+    self.postMessage({ id, result }, transferablesOf(result));
+  } catch (err) {
+    self.postMessage({ id, error: err?.message ?? String(err) });
+  }
+};
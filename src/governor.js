@@ -0,0 +1,164 @@
+// src/governor.js
+
+/**
+ * Adaptive performance governor.
+ * Watches frame times and walks a ladder of quality levels: down quickly when
+ * frames are slow, up slowly when there's headroom. A level that had to be
+ * left is locked out for a while (doubling each time), so quality doesn't flap.
+ */
+
+// Index 0 is the full garden as configured; each step trades detail for speed.
+// Fractions scale the configured counts; shadow/post name the most they may use.
+export const QUALITY_LEVELS = [
+  { name: 'ultra',  pixelRatio: 2.0,  flowers: 1.0,  hearts: 1.0,  grass: 1.0,  shadow: 'high',   post: 'all' },
+  { name: 'high',   pixelRatio: 1.5,  flowers: 1.0,  hearts: 1.0,  grass: 0.75, shadow: 'medium', post: ['bloom', 'grade', 'vignette', 'grain'] },
+  { name: 'medium', pixelRatio: 1.25, flowers: 0.75, hearts: 0.6,  grass: 0.5,  shadow: 'low',    post: ['bloom', 'grade', 'vignette'] },
+  { name: 'low',    pixelRatio: 1.0,  flowers: 0.5,  hearts: 0.4,  grass: 0.35, shadow: 'low',    post: ['grade', 'vignette'] },
+  { name: 'potato', pixelRatio: 0.75, flowers: 0.35, hearts: 0.25, grass: 0.2,  shadow: 'off',    post: [] },
+];
+
+/**
+ * @param {object} opts
+ * @param {number} [opts.startLevel]
+ * @param {(level: number, spec: object) => void} opts.onLevel
+ * @param {number} [opts.targetMs]      frame budget: the display's refresh interval
+ *   (see measureRefreshInterval); until it's known, 60 Hz is assumed
+ * @param {number} [opts.windowSec]     length of one measurement window
+ */
+export function createPerformanceGovernor({
+  startLevel = 0,
+  onLevel,
+  targetMs = 1000 / 60,
+  windowSec = 1.0,
+  levels = QUALITY_LEVELS,
+}) {
+  // Frame times are capped by vsync, so "headroom" means hitting the budget
+  // consistently; "slow" means clearly missing it. The gap is the hysteresis.
+  let slowMs = 0;
+  let fastMs = 0;
+  const SLOW_WINDOWS = 2;
+  const FAST_WINDOWS = 5;
+
+  let level = clampLevel(startLevel);
+  let windowTime = 0;
+  let windowFrames = 0;
+  let slowStreak = 0;
+  let fastStreak = 0;
+  let cooldown = 2.0;           // let the first frames (shader compiles) settle
+  let clock = 0;
+  const lockedUntil = new Array(levels.length).fill(0);
+  const backoff = new Array(levels.length).fill(8);
+  setTargetMs(targetMs);
+
+  function setTargetMs(ms) {
+    slowMs = ms * 1.35;
+    fastMs = ms * 1.08;
+    windowTime = windowFrames = 0;
+    slowStreak = fastStreak = 0;
+  }
+
+  function clampLevel(l) {
+    return Math.min(levels.length - 1, Math.max(0, l));
+  }
+
+  function setLevel(next, reason) {
+    next = clampLevel(next);
+    if (next === level) return;
+
+    // Leaving a level for being too slow locks it out; each repeat doubles the lock
+    if (reason === 'slow') {
+      lockedUntil[level] = clock + backoff[level];
+      backoff[level] = Math.min(backoff[level] * 2, 120);
+    }
+
+    level = next;
+    slowStreak = fastStreak = 0;
+    cooldown = 3.0;
+    onLevel(level, levels[level]);
+  }
+
+  /** Feed one frame's delta (seconds). */
+  function sample(delta) {
+    // Hidden tabs and hitches say nothing about steady-state cost
+    if (delta <= 0 || delta > 0.25) return;
+
+    clock += delta;
+    if (cooldown > 0) {
+      cooldown -= delta;
+      return;
+    }
+
+    windowTime += delta;
+    windowFrames++;
+    if (windowTime < windowSec) return;
+
+    const avgMs = (windowTime / windowFrames) * 1000;
+    windowTime = 0;
+    windowFrames = 0;
+
+    if (avgMs > slowMs) {
+      slowStreak++;
+      fastStreak = 0;
+    } else if (avgMs < fastMs) {
+      fastStreak++;
+      slowStreak = 0;
+    } else {
+      slowStreak = fastStreak = 0;
+    }
+
+    if (slowStreak >= SLOW_WINDOWS) {
+      setLevel(level + 1, 'slow');
+    } else if (fastStreak >= FAST_WINDOWS && level > 0 && clock >= lockedUntil[level - 1]) {
+      setLevel(level - 1, 'fast');
+    }
+  }
+
+  return {
+    sample,
+    setLevel: (l) => setLevel(l, 'manual'),
+    setTargetMs,
+    get level() { return level; },
+    get spec() { return levels[level]; },
+  };
+}
+
+// Refresh rates panels actually ship with
+const REFRESH_RATES = [60, 75, 90, 120, 144, 165, 240];
+
+/**
+ * The display's refresh interval in ms: the median gap between `frames`
+ * animation frames, snapped to the nearest standard refresh rate.
+ * The garden may already be rendering while this runs, so a slow GPU shows
+ * up as a slow "display"; nothing below 60 Hz is believed, or a device that
+ * can only manage 30 fps would budget for 30 and never shed quality.
+ */
+export function measureRefreshInterval(frames = 30) {
+  return new Promise((resolve) => {
+    const gaps = [];
+    let last = null;
+    function tick(now) {
+      if (last !== null) gaps.push(now - last);
+      last = now;
+      if (gaps.length < frames) {
+        requestAnimationFrame(tick);
+        return;
+      }
+      gaps.sort((a, b) => a - b);
+      const hz = 1000 / gaps[gaps.length >> 1];
+      const nearest = REFRESH_RATES.reduce((best, rate) => (Math.abs(rate - hz) < Math.abs(best - hz) ? rate : best));
+      resolve(1000 / nearest);
+    }
+    requestAnimationFrame(tick);
+  });
+}
+
+export function readGovernorMode(loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const value = hash.get('perf') ?? search.get('perf');
+
+  if (value === 'off' || value === 'fixed') return { enabled: false, level: 0 };
+  const named = QUALITY_LEVELS.findIndex((l) => l.name === value);
+  if (named >= 0) return { enabled: false, level: named };
+  return { enabled: true, level: null };
+}
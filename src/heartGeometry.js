@@ -0,0 +1,36 @@
+// src/heartGeometry.js
+import * as THREE from 'three';
+
+/**
+ * The heart outline shared by the falling hearts and the celebration firework.
+ */
+
+export function createHeartGeometry(size = 1) {
+  const shape = new THREE.Shape();
+  shape.moveTo(0, 0.25 * size);
+  shape.bezierCurveTo(0, 0.375 * size, 0.125 * size, 0.5 * size, 0.25 * size, 0.5 * size);
+  shape.bezierCurveTo(0.375 * size, 0.5 * size, 0.5 * size, 0.375 * size, 0.5 * size, 0.25 * size);
+  shape.bezierCurveTo(0.5 * size, 0.125 * size, 0.4375 * size, 0, 0.375 * size, 0);
+  shape.bezierCurveTo(0.3125 * size, 0, 0.25 * size, 0.0625 * size, 0.25 * size, 0.125 * size);
+  shape.bezierCurveTo(0.25 * size, 0.1875 * size, 0.1875 * size, 0.25 * size, 0.125 * size, 0.25 * size);
+  shape.bezierCurveTo(0.0625 * size, 0.25 * size, 0, 0.1875 * size, 0, 0.125 * size);
+  shape.bezierCurveTo(0, 0.0625 * size, -0.0625 * size, 0, -0.125 * size, 0);
+  shape.bezierCurveTo(-0.1875 * size, 0, -0.25 * size, 0.0625 * size, -0.25 * size, 0.125 * size);
+  shape.bezierCurveTo(-0.25 * size, 0.1875 * size, -0.3125 * size, 0.25 * size, -0.375 * size, 0.25 * size);
+  shape.bezierCurveTo(-0.4375 * size, 0.25 * size, -0.5 * size, 0.1875 * size, -0.5 * size, 0.125 * size);
+  shape.bezierCurveTo(-0.5 * size, 0.0625 * size, -0.4375 * size, 0, -0.375 * size, 0);
+  shape.bezierCurveTo(-0.3125 * size, 0, -0.25 * size, -0.0625 * size, -0.25 * size, -0.125 * size);
+  shape.bezierCurveTo(-0.25 * size, -0.1875 * size, -0.1875 * size, -0.25 * size, -0.125 * size, -0.25 * size);
+  shape.bezierCurveTo(-0.0625 * size, -0.25 * size, 0, -0.1875 * size, 0, -0.125 * size);
+  shape.bezierCurveTo(0, -0.0625 * size, 0.0625 * size, 0, 0.125 * size, 0);
+  shape.bezierCurveTo(0.1875 * size, 0, 0.25 * size, -0.0625 * size, 0.25 * size, -0.125 * size);
+  shape.bezierCurveTo(0.25 * size, -0.1875 * size, 0.3125 * size, -0.25 * size, 0.375 * size, -0.25 * size);
+  shape.bezierCurveTo(0.4375 * size, -0.25 * size, 0.5 * size, -0.1875 * size, 0.5 * size, -0.125 * size);
+  shape.bezierCurveTo(0.5 * size, 0, 0.375 * size, 0.125 * size, 0.25 * size, 0.125 * size);
+  shape.bezierCurveTo(0.125 * size, 0.125 * size, 0, 0, 0, 0.25 * size);
+
+  const geo = new THREE.ShapeGeometry(shape, 16);
+  geo.rotateX(Math.PI); // Face camera if needed
+  geo.computeVertexNormals();
+  return geo;
+}
@@ -0,0 +1,271 @@
+// src/i18n.js
+
+/**
+ * Message catalog.
+ * Every string the recipient reads or hears lives here, once per language.
+ * The locale comes from the link (?lang=es, hash wins), then the browser's
+ * preferred languages, then DEFAULT_LOCALE. Links can still replace single
+ * strings on top of the catalog (see personalize.js).
+ * A locale without a bundle (say ?lang=ar for a link written in Arabic) still
+ * sets the page language and direction; its strings fall back to the default.
+ */
+
+// The page was written in Spanish first; browsers that match no bundle keep getting it
+export const DEFAULT_LOCALE = 'es';
+
+export const MESSAGES = {
+  en: {
+    pageTitle: 'Valentine Garden',
+    pageTitleNamed: 'Valentine Garden · {name}',
+    hint: 'Among all these flowers, you’re the most beautiful. Tap the 🌹',
+    question: 'Will you be my valentine?',
+    questionNamed: '{name}, will you be my valentine?',
+    cardLabel: 'Valentine prompt',
+    yes: 'Yes 💖',
+    no: 'No 🙈',
+    // Each press of "no" shows the next line (separated by |); the last one repeats
+    noStages: 'Are you sure? 🥺|Really sure? 😢|Think again 💭|Pretty please? 🌹|Look how big “yes” is getting 💖',
+    noHelp: 'Every “no” makes the “yes” button a little bigger.',
+    noGrew: 'The “yes” button grew.',
+    success: 'Woohoooooo!! 💖🌹',
+    successButton: 'I love youuuuu 💖😭',
+    // Said by tapped field flowers; one picked at random, separated by |
+    flowerNotes: 'Pretty… but keep looking 🌹|Not this one 💭|Warmer… 🌸|So lovely, but the rose is waiting 💕|Almost! 🌷',
+    skipIntro: 'Skip intro ⏭',
+    reduceMotion: 'Reduce motion',
+    mute: 'Mute 🔇',
+    // Bouquet mini-game (?bouquet); colors in BOUQUET_COLORS order, separated by |
+    bouquetTitle: 'Bouquet 💐',
+    bouquetHint: 'Gather a bouquet 💐 then find the 🌹',
+    bouquetFirst: 'First, the bouquet 💐',
+    bouquetDone: 'Your bouquet is ready 💐',
+    bouquetColors: 'pink|red|purple|white|yellow',
+    // Each color in the HUD is a button for keyboard and switch users; {color} is from bouquetColors
+    bouquetGather: 'Gather a {color} flower',
+    bouquetSkip: 'Skip the bouquet',
+    // Keyboard and screen readers
+    sceneLabel: 'Flower garden. Arrow keys or W A S D look around the rose, plus and minus zoom.',
+    roseTarget: 'The rose 🌹',
+    narrateScene: 'A garden full of flowers, with a single rose in the clearing. Press Tab to reach the rose.',
+    // {side} is one of narrateSides (north, then clockwise), {distance} one of narrateDistances (near to far)
+    narrateView: 'Looking at the rose from the {side}, {distance}.',
+    narrateSides: 'north|northeast|east|southeast|south|southwest|west|northwest',
+    narrateDistances: 'up close|a few steps away|from across the clearing',
+    narrateDay: 'The sun is high.',
+    narrateGolden: 'The sun is low and golden.',
+    narrateTwilight: 'The sun has set and the sky is glowing.',
+    narrateNight: 'It is night, and the stars are out.',
+    narrateCelebration: 'Hearts burst over the rose and the whole garden blooms 💖',
+    loading: 'Growing the garden…',
+    fallback: 'Your browser doesn’t support WebGL. But… will you be my valentine? 💖',
+    fallbackError: 'The garden couldn’t grow on this device. But… will you be my valentine? 💖',
+    // Garden editor (?edit); group titles, then field labels in panel order
+    editorTitle: 'Garden editor',
+    editorMood: 'Mood',
+    editorExported: 'Exported garden',
+    editorCopyLink: 'Copy link',
+    editorCopyJSON: 'Copy JSON',
+    editorReset: 'Reset',
+    editorLinkCopied: 'Link copied',
+    editorJSONCopied: 'JSON copied',
+    editorResetDone: 'Defaults restored',
+    editorCopyManually: 'Copy the text above',
+    editorRandomSeed: 'Random seed',
+    editorPaletteColor: '{label} color {n}',
+    editorSky: 'Sky',
+    editorSun: 'Sun',
+    editorSkyModel: 'Sky model',
+    editorNight: 'Night',
+    editorLighting: 'Lighting',
+    editorFogExposure: 'Fog & exposure',
+    editorFlowers: 'Flowers',
+    editorPost: 'Post-processing',
+    editorHearts: 'Hearts',
+    editorTopColor: 'Top',
+    editorHorizonColor: 'Horizon',
+    editorBottomColor: 'Bottom',
+    editorScatter: 'Scatter',
+    editorHorizonFalloff: 'Horizon falloff',
+    editorSunElevation: 'Elevation °',
+    editorSunAzimuth: 'Azimuth °',
+    editorSunIntensity: 'Disk brightness',
+    editorSunSize: 'Disk size',
+    editorGlow: 'Glow',
+    editorSkyModelField: 'Model',
+    editorTurbidity: 'Turbidity',
+    editorRayleigh: 'Rayleigh',
+    editorMie: 'Mie',
+    editorMieHalo: 'Mie halo',
+    editorStars: 'Stars',
+    editorMoon: 'Moon',
+    editorMoonElevation: 'Moon elevation °',
+    editorMoonAzimuth: 'Moon azimuth °',
+    editorMoonSize: 'Moon size',
+    editorAmbient: 'Ambient',
+    editorSunLight: 'Sun light',
+    editorHemisphere: 'Hemisphere',
+    editorFogColor: 'Fog color',
+    editorFogDensity: 'Fog density',
+    editorExposure: 'Exposure',
+    editorSeed: 'Seed',
+    editorFlowerCount: 'Count',
+    editorFieldRadius: 'Field radius',
+    editorPalette: 'Palette',
+    editorRoseHeight: 'Rose height',
+    editorBloom: 'Bloom',
+    editorDof: 'Depth of field',
+    editorGrade: 'Color grade',
+    editorVignette: 'Vignette',
+    editorGrain: 'Film grain',
+    editorHeartCount: 'Count',
+    editorHeartScale: 'Size',
+  },
+
+  es: {
+    pageTitle: 'Jardín de San Valentín',
+    pageTitleNamed: 'Jardín de San Valentín · {name}',
+    hint: 'Entre tantas flores, eres la más hermosa, click a la 🌹',
+    question: '¿Quieres ser mi San Valentín?',
+    questionNamed: '{name}, ¿quieres ser mi San Valentín?',
+    cardLabel: 'Pregunta de San Valentín',
+    yes: 'Sí 💖',
+    no: 'No 🙈',
+    noStages: '¿Lo has pensado bien? 🥺|¿De verdad? 😢|Piénsalo otra vez 💭|¿Porfa? 🌹|Mira qué grande se pone el “sí” 💖',
+    noHelp: 'Cada “no” hace un poco más grande el botón del “sí”.',
+    noGrew: 'El botón del “sí” creció.',
+    success: '¡¡Wujuuuuuuu!! 💖🌹',
+    successButton: 'Te amoooooo 💖😭',
+    flowerNotes: 'Bonita… pero sigue buscando 🌹|Esta no 💭|Caliente, caliente… 🌸|Preciosa, pero la rosa te espera 💕|¡Casi! 🌷',
+    skipIntro: 'Saltar intro ⏭',
+    reduceMotion: 'Reducir movimiento',
+    mute: 'Silenciar 🔇',
+    bouquetTitle: 'Ramo 💐',
+    bouquetHint: 'Junta un ramo 💐 y luego busca la 🌹',
+    bouquetFirst: 'Primero, el ramo 💐',
+    bouquetDone: 'Tu ramo está listo 💐',
+    bouquetColors: 'rosa|rojo|morado|blanco|amarillo',
+    bouquetGather: 'Recoger una flor de color {color}',
+    bouquetSkip: 'Saltar el ramo',
+    sceneLabel: 'Jardín de flores. Flechas o W A S D para mirar alrededor de la rosa, más y menos para acercar.',
+    roseTarget: 'La rosa 🌹',
+    narrateScene: 'Un jardín lleno de flores, con una sola rosa en el claro. Pulsa Tab para llegar a la rosa.',
+    narrateView: 'Miras la rosa desde el {side}, {distance}.',
+    narrateSides: 'norte|noreste|este|sureste|sur|suroeste|oeste|noroeste',
+    narrateDistances: 'de cerca|a unos pasos|desde el otro lado del claro',
+    narrateDay: 'El sol está alto.',
+    narrateGolden: 'El sol está bajo y dorado.',
+    narrateTwilight: 'El sol se ha puesto y el cielo brilla.',
+    narrateNight: 'Es de noche y han salido las estrellas.',
+    narrateCelebration: 'Estallan corazones sobre la rosa y todo el jardín florece 💖',
+    loading: 'Cultivando el jardín…',
+    fallback: 'Tu navegador no soporta WebGL. Pero… ¿quieres ser mi San Valentín? 💖',
+    fallbackError: 'El jardín no pudo crecer en este dispositivo. Pero… ¿quieres ser mi San Valentín? 💖',
+    editorTitle: 'Editor del jardín',
+    editorMood: 'Ambiente',
+    editorExported: 'Jardín exportado',
+    editorCopyLink: 'Copiar enlace',
+    editorCopyJSON: 'Copiar JSON',
+    editorReset: 'Restablecer',
+    editorLinkCopied: 'Enlace copiado',
+    editorJSONCopied: 'JSON copiado',
+    editorResetDone: 'Valores por defecto restablecidos',
+    editorCopyManually: 'Copia el texto de arriba',
+    editorRandomSeed: 'Semilla aleatoria',
+    editorPaletteColor: '{label}: color {n}',
+    editorSky: 'Cielo',
+    editorSun: 'Sol',
+    editorSkyModel: 'Modelo de cielo',
+    editorNight: 'Noche',
+    editorLighting: 'Iluminación',
+    editorFogExposure: 'Niebla y exposición',
+    editorFlowers: 'Flores',
+    editorPost: 'Posprocesado',
+    editorHearts: 'Corazones',
+    editorTopColor: 'Arriba',
+    editorHorizonColor: 'Horizonte',
+    editorBottomColor: 'Abajo',
+    editorScatter: 'Dispersión',
+    editorHorizonFalloff: 'Caída del horizonte',
+    editorSunElevation: 'Elevación °',
+    editorSunAzimuth: 'Azimut °',
+    editorSunIntensity: 'Brillo del disco',
+    editorSunSize: 'Tamaño del disco',
+    editorGlow: 'Resplandor',
+    editorSkyModelField: 'Modelo',
+    editorTurbidity: 'Turbidez',
+    editorRayleigh: 'Rayleigh',
+    editorMie: 'Mie',
+    editorMieHalo: 'Halo de Mie',
+    editorStars: 'Estrellas',
+    editorMoon: 'Luna',
+    editorMoonElevation: 'Elevación de la luna °',
+    editorMoonAzimuth: 'Azimut de la luna °',
+    editorMoonSize: 'Tamaño de la luna',
+    editorAmbient: 'Ambiente',
+    editorSunLight: 'Luz del sol',
+    editorHemisphere: 'Hemisférica',
+    editorFogColor: 'Color de la niebla',
+    editorFogDensity: 'Densidad de la niebla',
+    editorExposure: 'Exposición',
+    editorSeed: 'Semilla',
+    editorFlowerCount: 'Cantidad',
+    editorFieldRadius: 'Radio del campo',
+    editorPalette: 'Paleta',
+    editorRoseHeight: 'Altura de la rosa',
+    editorBloom: 'Resplandor (bloom)',
+    editorDof: 'Profundidad de campo',
+    editorGrade: 'Gradación de color',
+    editorVignette: 'Viñeta',
+    editorGrain: 'Grano de película',
+    editorHeartCount: 'Cantidad',
+    editorHeartScale: 'Tamaño',
+  },
+};
+
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+const LOCALE_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+function baseLanguage(locale) {
+  return locale.toLowerCase().split('-')[0];
+}
+
+/** The catalog's bundle for a locale ('es-MX' -> 'es'), or null. */
+function bundleFor(locale) {
+  if (!locale) return null;
+  const lower = locale.toLowerCase();
+  if (Object.hasOwn(MESSAGES, lower)) return lower;
+  const base = baseLanguage(lower);
+  return Object.hasOwn(MESSAGES, base) ? base : null;
+}
+
+/**
+ * `?lang=es` or `#lang=en-GB` wins; otherwise the first of the browser's
+ * languages we have a bundle for; otherwise DEFAULT_LOCALE.
+ * @returns {string} a BCP 47 tag
+ */
+export function readLocale(loc = window.location, languages = navigator.languages ?? [navigator.language]) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const value = (hash.get('lang') ?? search.get('lang'))?.trim();
+
+  if (value && LOCALE_RE.test(value)) return value;
+  if (value) console.warn('[i18n] Ignoring unreadable locale:', value);
+
+  return languages.find((l) => l && bundleFor(l)) ?? DEFAULT_LOCALE;
+}
+
+/** Messages for a locale, with the default bundle filling any gaps. */
+export function messagesFor(locale) {
+  return { ...MESSAGES[DEFAULT_LOCALE], ...MESSAGES[bundleFor(locale) ?? DEFAULT_LOCALE] };
+}
+
+export function textDirection(locale) {
+  return RTL_LANGUAGES.has(baseLanguage(locale)) ? 'rtl' : 'ltr';
+}
+
+/** Sets the page's language and direction; CSS lays the overlay out with logical properties. */
+export function applyLocale(locale, root = document.documentElement) {
+  root.lang = locale;
+  root.dir = textDirection(locale);
+}
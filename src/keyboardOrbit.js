@@ -0,0 +1,112 @@
+// src/keyboardOrbit.js
+import * as THREE from 'three';
+
+/**
+ * Keyboard camera for OrbitControls.
+ * Arrow keys / WASD orbit around the controls' target, +/- (and PageUp/PageDown)
+ * zoom. Held keys move the camera at a steady rate per second, and the
+ * controls' own distance and polar limits still apply.
+ * Keys are only taken while the canvas has focus, so buttons, the editor and
+ * the rest of the page keep their own keyboard behaviour.
+ */
+
+const ORBIT = {
+  ArrowLeft: [-1, 0], KeyA: [-1, 0],
+  ArrowRight: [1, 0], KeyD: [1, 0],
+  ArrowUp: [0, -1], KeyW: [0, -1],
+  ArrowDown: [0, 1], KeyS: [0, 1],
+};
+const ZOOM = {
+  Equal: -1, NumpadAdd: -1, PageUp: -1,
+  Minus: 1, NumpadSubtract: 1, PageDown: 1,
+};
+
+const ORBIT_SPEED = 1.2;  // rad/s
+const ZOOM_SPEED = 0.9;   // fraction of distance per second
+
+/**
+ * @param {import('three/examples/jsm/controls/OrbitControls.js').OrbitControls} controls  its domElement must be focusable
+ * @param {object} opts
+ * @param {() => boolean} [opts.isBlocked]  e.g. while a scripted camera flight runs
+ * @param {() => void} [opts.onSettle]      called once the keys are released after moving
+ */
+export function createKeyboardOrbit(controls, { isBlocked = () => false, onSettle } = {}) {
+  const el = controls.domElement;
+  const held = new Set();
+  const offset = new THREE.Vector3();
+  const spherical = new THREE.Spherical();
+  let moved = false;
+
+  function onKeyDown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    if (!(e.code in ORBIT) && !(e.code in ZOOM)) return;
+    if (isBlocked() || !controls.enabled) return;
+    held.add(e.code);
+    e.preventDefault(); // arrows and PageUp/Down would otherwise scroll
+  }
+
+  function onKeyUp(e) {
+    held.delete(e.code);
+  }
+
+  function onBlur() {
+    held.clear();
+  }
+
+  el.addEventListener('keydown', onKeyDown);
+  el.addEventListener('keyup', onKeyUp);
+  el.addEventListener('blur', onBlur);
+
+  /** Call once per frame, before controls.update(). */
+  function update(delta) {
+    if (!held.size) {
+      if (moved) {
+        moved = false;
+        onSettle?.();
+      }
+      return;
+    }
+    if (isBlocked()) return;
+    delta = Math.min(delta, 0.1);
+
+    let yaw = 0, pitch = 0, zoom = 0;
+    for (const code of held) {
+      if (ORBIT[code]) {
+        yaw += ORBIT[code][0];
+        pitch += ORBIT[code][1];
+      } else {
+        zoom += ZOOM[code];
+      }
+    }
+
+    const camera = controls.object;
+    offset.copy(camera.position).sub(controls.target);
+    spherical.setFromVector3(offset);
+
+    spherical.theta -= yaw * ORBIT_SPEED * delta;
+    spherical.phi = THREE.MathUtils.clamp(
+      spherical.phi + pitch * ORBIT_SPEED * delta,
+      controls.minPolarAngle,
+      controls.maxPolarAngle
+    );
+    spherical.radius = THREE.MathUtils.clamp(
+      spherical.radius * (1 + zoom * ZOOM_SPEED * delta),
+      controls.minDistance,
+      controls.maxDistance
+    );
+    spherical.makeSafe();
+
+    camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+    camera.lookAt(controls.target);
+    moved = true;
+  }
+
+  return {
+    update,
+    dispose() {
+      el.removeEventListener('keydown', onKeyDown);
+      el.removeEventListener('keyup', onKeyUp);
+      el.removeEventListener('blur', onBlur);
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// src/loading.js
+
+/**
+ * Staged startup.
+ * Building the garden takes long enough to freeze the page, so init runs as a
+ * list of weighted stages with a painted frame between each: the loading
+ * overlay shows real progress, and a stage that throws rejects the whole run
+ * (tagged with the stage's name) instead of leaving a half-built scene.
+ */
+
+/** Resolves after the browser has had a chance to paint. */
+export function nextFrame() {
+  return new Promise((resolve) => {
+    // rAF doesn't fire in background tabs; don't stall the build there
+    if (document.hidden) setTimeout(resolve, 0);
+    else requestAnimationFrame(() => setTimeout(resolve, 0));
+  });
+}
+
+/**
+ * @param {{name: string, weight?: number, run: () => (void | Promise<void>)}[]} stages
+ * @param {(fraction: number) => void} [onProgress]
+ */
+export async function runStages(stages, onProgress) {
+  const total = stages.reduce((sum, s) => sum + (s.weight ?? 1), 0);
+  let done = 0;
+
+  for (const stage of stages) {
+    onProgress?.(done / total);
+    await nextFrame();
+    try {
+      await stage.run();
+    } catch (err) {
+      err.stage ??= stage.name;
+      throw err;
+    }
+    done += stage.weight ?? 1;
+  }
+  onProgress?.(1);
+}
+
+/**
+ * Drives the #loading overlay (label + bar).
+ * @param {HTMLElement | null} el
+ * @param {object} opts
+ * @param {string} opts.label
+ */
+export function createLoadingScreen(el, { label }) {
+  const labelEl = el?.querySelector('.loading-label');
+  const bar = el?.querySelector('.loading-bar');
+  const fill = bar?.querySelector('span');
+  if (labelEl) labelEl.textContent = label;
+  bar?.setAttribute('aria-label', label);
+
+  return {
+    setProgress(fraction) {
+      const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+      if (fill) fill.style.width = `${percent}%`;
+      bar?.setAttribute('aria-valuenow', String(percent));
+    },
+
+    /** Fades out, then leaves the page (and the accessibility tree). */
+    hide() {
+      if (!el) return;
+      el.classList.add('hide');
+      el.addEventListener('transitionend', () => el.remove(), { once: true });
+      // No transition runs under some reduced-motion settings or in hidden tabs
+      setTimeout(() => el.remove(), 1000);
+    },
+  };
+}
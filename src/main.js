@@ -2,11 +2,38 @@
 import './style.css';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { Sky } from 'three/examples/jsm/objects/Sky.js';
+import { readPersonalization, applyPersonalization } from './personalize.js';
+import { applyLocale, messagesFor, readLocale } from './i18n.js';
+import {
+  snapshotScene, snapshotToConfig, readSharedScene, applySharedScene, sceneShareUrl,
+} from './shareConfig.js';
+import { createEditor, isEditorRequested } from './editor.js';
+import { SKY_PRESETS, lerpSkyConfig, readSkyPreset } from './skyPresets.js';
+import { createDayCycle, readDayCycle } from './dayCycle.js';
+import { SHADOW_TIERS, SHADOW_TIER_NAMES, pickShadowTier, fitShadowToView, fitShadowToPoint } from './shadows.js';
+import { createPostPipeline, readPostSettings } from './post.js';
+import { createPerformanceGovernor, measureRefreshInterval, readGovernorMode, QUALITY_LEVELS } from './governor.js';
+import { chunkField, createLodAssigner } from './flowerLod.js';
+import { FLOWER_SPECIES } from './flowerSpecies.js';
+import { BOUQUET_COLORS, colorFamily, createBouquetGame, readBouquet } from './bouquet.js';
+import { easeInOutSine, easeOutBack } from './easing.js';
+import { CAMERA_SEQUENCES, createCameraSequencer, readIntro } from './cameraSequence.js';
+import { CELEBRATION_CUES, CELEBRATION_MELODY, createTimeline } from './celebration.js';
+import { createKeyboardOrbit } from './keyboardOrbit.js';
+import { createMotionPreference, readMotion } from './motion.js';
+import { createAudio, readMusic, readMuted } from './audio.js';
+import { createLoadingScreen, runStages } from './loading.js';
+import { createStream } from './random.js';
+import { createGardenGenerator } from './generator.js';
+import { buildFlowerImpostorGeometry, buildSingleFlowerGeometry, createPetalShape, flowerBuilder } from './flowerGeometry.js';
+import { createRoseLeavesGeometry, createRoseStemGeometry } from './roseGeometry.js';
+import { createHeartGeometry } from './heartGeometry.js';
 
 /**
- * Valentine Garden — COMPLETE FIXED VERSION
- * Sky + Lighting + Rose + Flowers all working perfectly
+ * Valentine Garden: a meadow of flowers around a single rose that asks the question.
+ * This file builds the scene and wires the overlay, input and animation
+ * together; the modules next to it hold the self-contained pieces.
  */
 
 // --------------------
@@ -40,6 +67,20 @@ const SKY_CONFIG = {
   
   // Tone mapping
   exposure: 1.1,              // Overall brightness (0.8-1.5, higher = brighter)
+
+  // Sky model: 'gradient' (artistic, above) or 'physical' (Rayleigh/Mie scattering)
+  skyModel: 'gradient',
+  turbidity: 6,               // Physical: haze (1-20, higher = hazier, more orange)
+  rayleigh: 2.0,              // Physical: blue-sky scattering (0-4)
+  mieCoefficient: 0.005,      // Physical: aerosol scattering around the sun (0-0.1)
+  mieDirectionalG: 0.8,       // Physical: sun halo tightness (0-0.999)
+
+  // Night (see skyPresets.js "night")
+  starIntensity: 0.0,         // Procedural starfield (0 = off, 1 = full)
+  moonIntensity: 0.0,         // Moon disk brightness (0 = no moon)
+  moonElevation: 35,          // Degrees above horizon
+  moonAzimuth: 140,           // Degrees clockwise from north
+  moonSize: 0.025,            // Visual moon size (like sunSize)
 };
 
 // --------------------
@@ -50,8 +91,15 @@ const CONFIG = {
   maxPixelRatio: 2,
 
   flowerCount: isMobile() ? 9000 : 10000,
+  flowerChunkSize: 16,                  // LOD/culling cell size (world units)
+  flowerLodDistances: [22, 45, 80],     // full -> simple -> minimal -> impostor
+  grassCount: isMobile() ? 22000 : 55000,
   fieldRadius: 120,
   clearRadius: 12.0,
+  flowerPalette: [
+    '#ff69b4', '#ff1493', '#ffb6c1', '#ff6b9d', '#ffc0cb',
+    '#ff8fab', '#ff91a4', '#db7093', '#ffb3d9', '#ff4d88',
+  ],
 
   cameraPos: new THREE.Vector3(0, 3.5, 12.0),
   lookAt: new THREE.Vector3(0, 2.0, 0),
@@ -63,6 +111,9 @@ const CONFIG = {
   rosePosition: new THREE.Vector3(0, 0, 0),
 
   tapCooldownMs: 900,
+  flowerNoteChance: 0.45,     // chance a tapped field flower says something
+  flowerNoteCooldownMs: 2500,
+  bouquetPosition: new THREE.Vector3(1.7, 0, 1.9),   // where the finished bouquet appears
 
   heartCount: isMobile() ? 200 : 400,
   heartFallSpeedMin: -0.5,
@@ -70,17 +121,46 @@ const CONFIG = {
   heartStartYMin: 10,
   heartStartYMax: 20,
   heartScale: 0.4,
+
+  // Day/night cycle: 'off' | 'clock' (viewer's local time) | 'timeline' (accelerated)
+  dayCycle: 'off',
+  dayLengthSec: 180,          // timeline: real seconds per 24h
+  dayStartHour: 6,            // timeline: hour of day at load
+  latitude: 40,               // degrees north, for the sun's path (?lat=)
 };
 
+// --------------------
+// Sky preset (?sky=night), then shared scene (#g=...) override the defaults above
+// --------------------
+// Share links diff against these base defaults, not the preset (see sceneShareUrl)
+const SCENE_DEFAULTS = snapshotScene(SKY_CONFIG, CONFIG);
+const bootPreset = readSkyPreset();
+if (bootPreset) Object.assign(SKY_CONFIG, SKY_PRESETS[bootPreset]);
+applySharedScene(readSharedScene(), SKY_CONFIG, CONFIG);
+Object.assign(CONFIG, readDayCycle());
+
 // --------------------
 // UI
 // --------------------
+const locale = readLocale();
+applyLocale(locale);
+const TEXT = readPersonalization(messagesFor(locale));
+const bouquetRecipe = readBouquet();
+const introName = readIntro();
+const motionPref = createMotionPreference({ override: readMotion(), onChange: applyMotion });
+const audio = createAudio({ music: readMusic(), muted: readMuted() });
+
 ensureOverlayElements();
 const hintEl = document.getElementById('hint');
 const cardEl = document.getElementById('card');
 const yesBtn = document.getElementById('yes');
 const noBtn = document.getElementById('no');
+const noteEl = document.getElementById('note');
+const noStatusEl = document.getElementById('no-status');
+const narrationEl = document.getElementById('narration');
 const fallbackEl = document.getElementById('fallback');
+const loadingEl = document.getElementById('loading');
+applyPersonalization(TEXT, { hintEl, cardEl, yesBtn, noBtn, fallbackEl });
 
 // --------------------
 // State
@@ -92,226 +172,147 @@ let flowerField = null;
 let rose = null;
 let fallingHearts = null;
 let lastTapTime = -Infinity;
+let pointerDownAt = null;
+let petalBurst = null;
+let lastNoteTime = -Infinity;
+let noteTimer = 0;
+let bouquet = null;
+const bouquetPicks = [];
+let bouquetReveal = null;
+let cameraFlight = null;      // scripted camera (intro, celebration pull-back); OrbitControls waits
+let skipIntroBtn = null;
+let heartFirework = null;
+let noStage = 0;
+let lastNoTime = -Infinity;
+let celebration = null;
+let keyboardOrbit = null;
+let roseTargetEl = null;
+let skyPhase = null;
+const roseScreen = new THREE.Vector3();
+let motion = motionPref.profile;
+let motionTime = 0;           // clock for ambient animation; runs slower in reduced-motion mode
+let motionToggleBtn = null;
+let generator = null;         // geometry worker (or its main-thread stand-in)
+let flowerBuild = 0;          // newest editor rebuild; older ones are dropped
+let grassBuild = 0;
 let triggered = false;
 
 let sunLight = null;
 let hemiLight = null;
+let ambientLight = null;
 let skyDome = null;
+let physicalSky = null;
 let sunDirection = new THREE.Vector3();
-
-// --------------------
-// Seeded RNG
-// --------------------
-function mulberry32(seed) {
-  let a = seed >>> 0;
-  return function () {
-    a |= 0; a = (a + 0x6D2B79F5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-const rng = mulberry32(CONFIG.seed);
-const rand = (min, max) => min + rng() * (max - min);
-const pick = (arr) => arr[Math.floor(rng() * arr.length)];
-
-// --------------------
-// New: Leaflet Geometry for Realistic Serrated Leaflet
-// --------------------
-function createLeafletGeometry(length = 0.15, width = 0.07, numTeeth = 6) {
-  const shape = new THREE.Shape();
-  const halfWidth = width / 2;
-  const toothDepth = 0.008;
-
-  // Left side points (base to tip)
-  const leftPoints = [new THREE.Vector2(0, 0)];
-  for (let i = 1; i < numTeeth; i++) {
-    const t = i / numTeeth;
-    const y = t * length;
-    const w = halfWidth * Math.sin(Math.PI * t);
-    leftPoints.push(new THREE.Vector2(-w, y));
-
-    const tt = (i - 0.5) / numTeeth;
-    const ty = tt * length;
-    const tw = halfWidth * Math.sin(Math.PI * tt);
-    leftPoints.push(new THREE.Vector2(-tw - toothDepth, ty));
-  }
-  leftPoints.push(new THREE.Vector2(0, length));
-
-  // Right side points (tip to base, mirrored)
-  const rightPoints = [];
-  for (let i = 0; i < leftPoints.length; i++) {
-    const p = leftPoints[leftPoints.length - 1 - i].clone();
-    p.x = -p.x;
-    rightPoints.push(p);
-  }
-
-  // Combine points
-  const allPoints = leftPoints.concat(rightPoints.slice(1)); // Avoid duplicate base
-
-  // Build shape
-  shape.moveTo(allPoints[0].x, allPoints[0].y);
-  for (let i = 1; i < allPoints.length; i++) {
-    shape.lineTo(allPoints[i].x, allPoints[i].y);
-  }
-
-  const geo = new THREE.ShapeGeometry(shape, 8); // Curve segments for smooth edges
-
-  // Add slight curvature for realism
-  const pos = geo.attributes.position;
-  for (let i = 0; i < pos.count; i++) {
-    const x = pos.getX(i);
-    const y = pos.getY(i);
-    const curve = Math.sin((y / length) * Math.PI) * x * 1.2; // Bend along length
-    pos.setZ(i, curve);
-  }
-  pos.needsUpdate = true;
-  geo.computeVertexNormals();
-
-  return geo;
-}
-
-// --------------------
-// New: Compound Leaf Geometry (Petiole + Leaflets)
-// --------------------
-function createCompoundLeafGeo(basePosition, baseRotation, petioleLength = 0.1, leafletLength = 0.15, leafletWidth = 0.07, numTeeth = 8) {
-  const geos = [];
-
-  // Petiole (small stem)
-  const petioleGeo = new THREE.CylinderGeometry(0.008, 0.012, petioleLength, 8);
-  petioleGeo.translate(0, petioleLength / 2, 0);
-  geos.push(petioleGeo);
-
-  // Base leaflet geometry
-  const leafletGeo = createLeafletGeometry(leafletLength, leafletWidth, numTeeth);
-
-  // Terminal leaflet (straight)
-  const terminal = leafletGeo.clone();
-  terminal.translate(0, petioleLength, 0);
-  geos.push(terminal);
-
-  // Side leaflet 1 (angled left)
-  const side1 = leafletGeo.clone();
-  side1.rotateZ(0.8); // ~45 degrees
-  side1.translate(-0.04, petioleLength * 0.6, 0);
-  geos.push(side1);
-
-  // Side leaflet 2 (angled right)
-  const side2 = leafletGeo.clone();
-  side2.rotateZ(-0.8);
-  side2.translate(0.04, petioleLength * 0.6, 0);
-  geos.push(side2);
-
-  // Merge into single geometry
-  const merged = mergeGeometries(geos);
-
-  // Apply base rotation and translation
-  if (baseRotation.y) merged.rotateY(baseRotation.y);
-  if (baseRotation.z) merged.rotateZ(baseRotation.z);
-  merged.translate(basePosition.x, basePosition.y, basePosition.z);
-
-  return merged;
-}
-
-// --------------------
-// New: Smooth Leaf Geometry for Field Flowers
-// --------------------
-function createSmoothLeafGeometry(length = 0.3, width = 0.12) {
-  const shape = new THREE.Shape();
-
-  shape.moveTo(0, 0);
-  shape.quadraticCurveTo(-width/2, length/3, -width/2, 2*length/3);
-  shape.quadraticCurveTo(-width/2, length, 0, length);
-  shape.quadraticCurveTo(width/2, length, width/2, 2*length/3);
-  shape.quadraticCurveTo(width/2, length/3, 0, 0);
-
-  const geo = new THREE.ShapeGeometry(shape, 12);
-
-  // Add curvature
-  const pos = geo.attributes.position;
-  for (let i = 0; i < pos.count; i++) {
-    const x = pos.getX(i);
-    const y = pos.getY(i);
-    const curve = Math.sin((y / length) * Math.PI) * Math.abs(x) * 1.5;
-    pos.setZ(i, curve);
-  }
-  pos.needsUpdate = true;
-  geo.computeVertexNormals();
-
-  return geo;
-}
-
-// --------------------
-// New: Petal Shape for Field Flowers
-// --------------------
-function createPetalShape() {
-  const shape = new THREE.Shape();
-  shape.moveTo(0, 0);
-  shape.bezierCurveTo(-0.05, 0.1, -0.15, 0.25, -0.15, 0.4);
-  shape.bezierCurveTo(-0.15, 0.55, -0.05, 0.7, 0, 0.7);
-  shape.bezierCurveTo(0.05, 0.7, 0.15, 0.55, 0.15, 0.4);
-  shape.bezierCurveTo(0.15, 0.25, 0.05, 0.1, 0, 0);
-  return shape;
-}
-
-// --------------------
-// New: Heart Shape Geometry
-// --------------------
-function createHeartGeometry(size = 1) {
-  const shape = new THREE.Shape();
-  shape.moveTo(0, 0.25 * size);
-  shape.bezierCurveTo(0, 0.375 * size, 0.125 * size, 0.5 * size, 0.25 * size, 0.5 * size);
-  shape.bezierCurveTo(0.375 * size, 0.5 * size, 0.5 * size, 0.375 * size, 0.5 * size, 0.25 * size);
-  shape.bezierCurveTo(0.5 * size, 0.125 * size, 0.4375 * size, 0, 0.375 * size, 0);
-  shape.bezierCurveTo(0.3125 * size, 0, 0.25 * size, 0.0625 * size, 0.25 * size, 0.125 * size);
-  shape.bezierCurveTo(0.25 * size, 0.1875 * size, 0.1875 * size, 0.25 * size, 0.125 * size, 0.25 * size);
-  shape.bezierCurveTo(0.0625 * size, 0.25 * size, 0, 0.1875 * size, 0, 0.125 * size);
-  shape.bezierCurveTo(0, 0.0625 * size, -0.0625 * size, 0, -0.125 * size, 0);
-  shape.bezierCurveTo(-0.1875 * size, 0, -0.25 * size, 0.0625 * size, -0.25 * size, 0.125 * size);
-  shape.bezierCurveTo(-0.25 * size, 0.1875 * size, -0.3125 * size, 0.25 * size, -0.375 * size, 0.25 * size);
-  shape.bezierCurveTo(-0.4375 * size, 0.25 * size, -0.5 * size, 0.1875 * size, -0.5 * size, 0.125 * size);
-  shape.bezierCurveTo(-0.5 * size, 0.0625 * size, -0.4375 * size, 0, -0.375 * size, 0);
-  shape.bezierCurveTo(-0.3125 * size, 0, -0.25 * size, -0.0625 * size, -0.25 * size, -0.125 * size);
-  shape.bezierCurveTo(-0.25 * size, -0.1875 * size, -0.1875 * size, -0.25 * size, -0.125 * size, -0.25 * size);
-  shape.bezierCurveTo(-0.0625 * size, -0.25 * size, 0, -0.1875 * size, 0, -0.125 * size);
-  shape.bezierCurveTo(0, -0.0625 * size, 0.0625 * size, 0, 0.125 * size, 0);
-  shape.bezierCurveTo(0.1875 * size, 0, 0.25 * size, -0.0625 * size, 0.25 * size, -0.125 * size);
-  shape.bezierCurveTo(0.25 * size, -0.1875 * size, 0.3125 * size, -0.25 * size, 0.375 * size, -0.25 * size);
-  shape.bezierCurveTo(0.4375 * size, -0.25 * size, 0.5 * size, -0.1875 * size, 0.5 * size, -0.125 * size);
-  shape.bezierCurveTo(0.5 * size, 0, 0.375 * size, 0.125 * size, 0.25 * size, 0.125 * size);
-  shape.bezierCurveTo(0.125 * size, 0.125 * size, 0, 0, 0, 0.25 * size);
-
-  const geo = new THREE.ShapeGeometry(shape, 16);
-  geo.rotateX(Math.PI); // Face camera if needed
-  geo.computeVertexNormals();
-  return geo;
-}
+let moonDirection = new THREE.Vector3();
+let keyLightDirection = new THREE.Vector3();
+let shadowTier = 'off';
+let deviceShadowTier = 'off';   // what the device was judged capable of; governor never exceeds it
+let ground = null;
+let governor = null;
+let quality = QUALITY_LEVELS[0];
+let pixelRatioCap = CONFIG.maxPixelRatio;
+let post = null;
+const postSettings = readPostSettings(isMobile());
+const roseShadowCenter = new THREE.Vector3();
+const SUN_LIGHT_COLOR = new THREE.Color('#ffeedd');
+const MOON_LIGHT_COLOR = new THREE.Color('#aab8ff');
+let skyTransition = null;
+let dayCycle = null;
+let editor = null;
 
 // --------------------
 // Boot
 // --------------------
-init();
-console.log('WebGL supported?', hasWebGL());
+init().catch(onInitError);
 
-function init() {
+// Built in stages with a frame between each, so the loading bar moves and the page stays responsive
+async function init() {
   if (!hasWebGL()) {
+    loadingEl?.remove();
     fallbackEl?.classList?.add('show');
     return;
   }
 
-  clock = new THREE.Clock();
+  const loading = createLoadingScreen(loadingEl, { label: TEXT.loading });
 
-  initScene();
-  flowerField = createFlowerField();
-  rose = createRose();
-  fallingHearts = createFallingHearts();
+  // The heavy data is generated off the main thread while the stages below set up the rest
+  generator = createGardenGenerator();
+  const jobs = {
+    ground: generator.run('ground'),
+    grass: generator.run('grass', grassParams()),
+    flowers: generator.run('flowerLayout', flowerLayoutParams()),
+    petals: generator.run('rosePetals'),
+  };
+  // Awaited stage by stage; if an earlier stage fails, the rest aren't unhandled
+  Object.values(jobs).forEach((job) => job.catch(() => {}));
+
+  // weight: rough share of the startup time
+  await runStages([
+    {
+      name: 'scene',
+      run: () => {
+        initScene();
+        deviceShadowTier = pickShadowTier(renderer, isMobile());
+        setShadowTier(deviceShadowTier);
+      },
+    },
+    {
+      name: 'ground',
+      weight: 2,
+      run: async () => {
+        ground = createGround(await jobs.ground, await jobs.grass);
+        scene.add(ground);
+      },
+    },
+    { name: 'flowers', weight: 6, run: async () => { flowerField = createFlowerField(await jobs.flowers); } },
+    { name: 'rose', weight: 3, run: async () => { rose = createRose(await jobs.petals); } },
+    {
+      name: 'effects',
+      run: () => {
+        fallingHearts = createFallingHearts();
+        petalBurst = createPetalBurst();
+        setupGovernor();
+      },
+    },
+    // Compile every shader now rather than stalling on the first frames
+    { name: 'shaders', weight: 3, run: () => renderer.compileAsync(scene, camera) },
+  ], (fraction) => loading.setProgress(fraction));
+
+  if (CONFIG.dayCycle !== 'off') {
+    dayCycle = createDayCycle({
+      mode: CONFIG.dayCycle,
+      dayLengthSec: CONFIG.dayLengthSec,
+      startHour: CONFIG.dayStartHour,
+      latitude: CONFIG.latitude,
+    });
+  }
 
+  clock = new THREE.Clock();   // started after the build, so the first frame's delta is a frame's
   setupInteraction();
   setupButtons();
-
+  setupAccessibility();
+  setupSound();
+  setupMotion();
+  if (bouquetRecipe) setupBouquet();
+  if (introName && motion.flights) startIntro(introName);
+  // Announcements made while the page is still loading tend to be dropped
+  else setTimeout(narrateScene, 1200);
+  if (isEditorRequested()) setupEditor();
+
+  loading.hide();
   animate();
 }
 
+// A throw anywhere in the build: say so instead of leaving a frozen loading screen
+function onInitError(err) {
+  console.error(`[init] Failed building the ${err?.stage ?? 'garden'}:`, err);
+  loadingEl?.remove();
+  if (fallbackEl) {
+    fallbackEl.textContent = TEXT.fallbackError;
+    fallbackEl.classList.add('show');
+  }
+}
+
 // --------------------
 // Scene setup with FIXED SKY + LIGHTING
 // --------------------
@@ -345,6 +346,7 @@ function initScene() {
 
   skyDome = createRomanticSky();
   scene.add(skyDome);
+  updateSkyModel();
 
   setupSceneLighting();
 
@@ -353,9 +355,6 @@ function initScene() {
     SKY_CONFIG.fogDensity
   );
 
-  const ground = createGround();
-  scene.add(ground);
-
   if (CONFIG.enableControls) {
     controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
@@ -368,6 +367,8 @@ function initScene() {
     controls.update();
   }
 
+  if (postSettings) post = createPostPipeline(renderer, scene, camera, postSettings);
+
   raycaster = new THREE.Raycaster();
   pointerNDC = new THREE.Vector2();
 
@@ -378,6 +379,12 @@ function calculateSunDirection() {
   const phi = THREE.MathUtils.degToRad(90 - SKY_CONFIG.sunElevation);
   const theta = THREE.MathUtils.degToRad(SKY_CONFIG.sunAzimuth);
   sunDirection.setFromSphericalCoords(1, phi, theta);
+
+  moonDirection.setFromSphericalCoords(
+    1,
+    THREE.MathUtils.degToRad(90 - SKY_CONFIG.moonElevation),
+    THREE.MathUtils.degToRad(SKY_CONFIG.moonAzimuth)
+  );
 }
 
 // --------------------
@@ -406,15 +413,22 @@ function createRomanticSky() {
       uGlowIntensity: { value: SKY_CONFIG.glowIntensity },
       uAtmosphericScatter: { value: SKY_CONFIG.atmosphericScatter },
       uHorizonFalloff: { value: SKY_CONFIG.horizonFalloff },
+
+      uTime: { value: 0 },
+      uStarIntensity: { value: SKY_CONFIG.starIntensity },
+      uMoonDirection: { value: moonDirection.clone() },
+      uMoonIntensity: { value: SKY_CONFIG.moonIntensity },
+      uMoonSize: { value: SKY_CONFIG.moonSize },
     },
 
     vertexShader: `
-      varying vec3 vViewDir;
+      varying vec3 vWorldDir;
 
       void main() {
-        vec4 mv = modelViewMatrix * vec4(position, 1.0);
-        vViewDir = normalize(mv.xyz);
-        gl_Position = projectionMatrix * mv;
+        // World-space direction from the eye, so the sky doesn't swim with the camera
+        vec4 world = modelMatrix * vec4(position, 1.0);
+        vWorldDir = world.xyz - cameraPosition;
+        gl_Position = projectionMatrix * viewMatrix * world;
       }
     `,
 
@@ -430,11 +444,37 @@ function createRomanticSky() {
       uniform float uAtmosphericScatter;
       uniform float uHorizonFalloff;
 
-      varying vec3 vViewDir;
+      uniform float uTime;
+      uniform float uStarIntensity;
+      uniform vec3 uMoonDirection;
+      uniform float uMoonIntensity;
+      uniform float uMoonSize;
+
+      varying vec3 vWorldDir;
+
+      float hash13(vec3 p) {
+        p = fract(p * 0.1031);
+        p += dot(p, p.zyx + 31.32);
+        return fract((p.x + p.y) * p.z);
+      }
+
+      // Sparse twinkling points: one candidate star per cell of a 3D grid
+      float starField(vec3 dir) {
+        vec3 p = dir * 260.0;
+        vec3 cell = floor(p);
+        float h = hash13(cell);
+        if (h < 0.982) return 0.0;
+
+        vec3 center = cell + 0.5 + (vec3(hash13(cell + 7.1), hash13(cell + 3.7), hash13(cell + 1.3)) - 0.5) * 0.6;
+        float d = length(p - center);
+        float brightness = (h - 0.982) / 0.018;
+        float twinkle = 0.75 + 0.25 * sin(uTime * (1.5 + brightness * 3.0) + h * 80.0);
+        return smoothstep(0.28, 0.0, d) * (0.35 + 0.65 * brightness) * twinkle;
+      }
 
       void main() {
-        // View-space direction; y is "up" relative to camera view
-        vec3 dir = normalize(vViewDir);
+        // World-space view direction; y is up
+        vec3 dir = normalize(vWorldDir);
         float height = dir.y;
 
         // --- Smooth gradient (bottom -> horizon -> top)
@@ -448,18 +488,10 @@ function createRomanticSky() {
         float haze = exp(-max(height, 0.0) * uHorizonFalloff) * 0.12;
         skyColor = mix(skyColor, uHorizonColor, haze);
 
-        // --- Sun disk + glow
-        // IMPORTANT: uSunDirection is in WORLD space by your current code.
-        // Our dir is in VIEW space. To keep it simple and consistent:
-        // Approximate by assuming camera doesn't roll and is mostly upright.
-        // If you want exact, you can pass a view-space sun direction uniform each frame.
-        // For now, convert world sun direction into view space in JS (recommended),
-        // but if you don't, this still gives a pleasing glow.
+        // --- Sun disk + glow (both directions in world space: the disk sits
+        // exactly where sunLight shines from)
         vec3 sunDir = normalize(uSunDirection);
-
-        // Use dir in *world-like* sense by flipping sign (inside sphere)
-        // If your sun appears opposite, flip the sign of sunDir below.
-        float sunDot = max(dot(normalize(-dir), sunDir), 0.0);
+        float sunDot = max(dot(dir, sunDir), 0.0);
 
         // Wider, more reliable sun edge (was too thin at 0.001)
         float edge = 1.0 - uSunSize;
@@ -476,6 +508,28 @@ function createRomanticSky() {
         vec3 finalColor = skyColor + sunTint;
         finalColor = mix(finalColor, sunColor, sunDisk);
 
+        // --- Night: stars + moon
+        vec3 skyDir = dir;
+        float aboveHorizon = smoothstep(-0.02, 0.12, height);
+
+        if (uStarIntensity > 0.0) {
+          finalColor += vec3(0.9, 0.93, 1.0) * starField(skyDir) * uStarIntensity * aboveHorizon;
+        }
+
+        if (uMoonIntensity > 0.0) {
+          float moonDot = max(dot(skyDir, normalize(uMoonDirection)), 0.0);
+          float moonEdge = 1.0 - uMoonSize;
+          float moonDisk = smoothstep(moonEdge - 0.004, moonEdge + 0.004, moonDot);
+
+          // Soft "maria" blotches so the disk reads as a moon, not a second sun
+          float maria = 0.82 + 0.18 * hash13(floor(skyDir * 900.0));
+          vec3 moonColor = vec3(0.92, 0.94, 1.0) * maria * uMoonIntensity;
+          float moonGlow = pow(moonDot, 60.0) * 0.25 * uMoonIntensity;
+
+          finalColor += vec3(0.55, 0.62, 0.85) * moonGlow;
+          finalColor = mix(finalColor, moonColor, moonDisk * aboveHorizon);
+        }
+
         // Gentle vignette
         float vig = 0.88 + 0.12 * smoothstep(-0.25, 0.55, height);
         finalColor *= vig;
@@ -500,6 +554,37 @@ function createRomanticSky() {
   return mesh;
 }
 
+// Alternative sky model: three's analytic Rayleigh/Mie (Preetham) sky.
+// Created on first use; it has no stars or moon, night stays on the gradient sky.
+function createPhysicalSky() {
+  const sky = new Sky();
+  sky.scale.setScalar(10000);
+  sky.frustumCulled = false;
+  sky.renderOrder = -999;
+  sky.material.depthTest = false;
+  return sky;
+}
+
+function updateSkyModel() {
+  const physical = SKY_CONFIG.skyModel === 'physical';
+
+  if (physical && !physicalSky) {
+    physicalSky = createPhysicalSky();
+    scene.add(physicalSky);
+  }
+
+  skyDome.visible = !physical;
+  if (!physicalSky) return;
+  physicalSky.visible = physical;
+
+  const u = physicalSky.material.uniforms;
+  u.turbidity.value = SKY_CONFIG.turbidity;
+  u.rayleigh.value = SKY_CONFIG.rayleigh;
+  u.mieCoefficient.value = SKY_CONFIG.mieCoefficient;
+  u.mieDirectionalG.value = SKY_CONFIG.mieDirectionalG;
+  u.sunPosition.value.copy(sunDirection);
+}
+
 
 // --------------------
 // LIGHTING - Matches sky perfectly
@@ -511,77 +596,214 @@ function setupSceneLighting() {
   hemiLight = new THREE.HemisphereLight(skyTint, groundTint, SKY_CONFIG.hemiIntensity);
   scene.add(hemiLight);
   
-  const sunColor = new THREE.Color('#ffeedd');
-  sunLight = new THREE.DirectionalLight(sunColor, SKY_CONFIG.sunLightIntensity);
-  sunLight.position.copy(sunDirection).multiplyScalar(50);
+  sunLight = new THREE.DirectionalLight(SUN_LIGHT_COLOR, SKY_CONFIG.sunLightIntensity);
+  placeKeyLight();
   sunLight.target.position.set(0, 0, 0);
   scene.add(sunLight);
   scene.add(sunLight.target);
   
-  const ambient = new THREE.AmbientLight(
+  ambientLight = new THREE.AmbientLight(
     new THREE.Color(SKY_CONFIG.bottomColor).multiplyScalar(0.6),
     SKY_CONFIG.ambientIntensity
   );
-  scene.add(ambient);
+  scene.add(ambientLight);
+}
+
+// Once the sun is down the key light comes from the moon, tinted cool
+function placeKeyLight() {
+  const night = SKY_CONFIG.sunElevation < 0 && SKY_CONFIG.moonIntensity > 0;
+  keyLightDirection.copy(night ? moonDirection : sunDirection);
+  sunLight.position.copy(keyLightDirection).multiplyScalar(50);
+  sunLight.target.position.set(0, 0, 0); // shadow fitting may have moved it
+  sunLight.color.copy(SUN_LIGHT_COLOR).lerp(MOON_LIGHT_COLOR, night ? Math.min(1, SKY_CONFIG.moonIntensity) : 0);
+}
+
+// Push the current SKY_CONFIG into the sky shader, lights, fog and exposure
+function applySkyConfig() {
+  calculateSunDirection();
+
+  const u = skyDome.material.uniforms;
+  u.uTopColor.value.set(SKY_CONFIG.topColor);
+  u.uHorizonColor.value.set(SKY_CONFIG.horizonColor);
+  u.uBottomColor.value.set(SKY_CONFIG.bottomColor);
+  u.uSunDirection.value.copy(sunDirection).normalize();
+  u.uSunIntensity.value = SKY_CONFIG.sunIntensity;
+  u.uSunSize.value = SKY_CONFIG.sunSize;
+  u.uGlowIntensity.value = SKY_CONFIG.glowIntensity;
+  u.uAtmosphericScatter.value = SKY_CONFIG.atmosphericScatter;
+  u.uHorizonFalloff.value = SKY_CONFIG.horizonFalloff;
+  u.uStarIntensity.value = SKY_CONFIG.starIntensity;
+  u.uMoonDirection.value.copy(moonDirection);
+  u.uMoonIntensity.value = SKY_CONFIG.moonIntensity;
+  u.uMoonSize.value = SKY_CONFIG.moonSize;
+  updateSkyModel();
+
+  hemiLight.color.set(SKY_CONFIG.horizonColor).multiplyScalar(0.8);
+  hemiLight.intensity = SKY_CONFIG.hemiIntensity;
+  placeKeyLight();
+  sunLight.intensity = SKY_CONFIG.sunLightIntensity;
+  ambientLight.color.set(SKY_CONFIG.bottomColor).multiplyScalar(0.6);
+  ambientLight.intensity = SKY_CONFIG.ambientIntensity;
+  rose?.placeSpot();
+
+  scene.fog.color.set(SKY_CONFIG.fogColor);
+  scene.fog.density = SKY_CONFIG.fogDensity;
+  renderer.toneMappingExposure = SKY_CONFIG.exposure;
+}
+
+// --------------------
+// Sky presets (cross-fade)
+// --------------------
+function setSkyPreset(name, duration = 3.0) {
+  const target = SKY_PRESETS[name];
+  if (!target) return;
+
+  if (duration <= 0) {
+    Object.assign(SKY_CONFIG, target);
+    applySkyConfig();
+    editor?.sync();
+    return;
+  }
+
+  skyTransition = { from: { ...SKY_CONFIG }, to: target, elapsed: 0, duration };
+}
+
+function updateSkyTransition(delta) {
+  if (!skyTransition) return;
+
+  skyTransition.elapsed += delta;
+  const k = Math.min(1, skyTransition.elapsed / skyTransition.duration);
+  lerpSkyConfig(skyTransition.from, skyTransition.to, easeInOutSine(k), SKY_CONFIG);
+  applySkyConfig();
+
+  if (k >= 1) {
+    skyTransition = null;
+    editor?.sync();
+  }
+}
+
+// --------------------
+// Shadows
+// --------------------
+function setShadowTier(name) {
+  const tier = SHADOW_TIERS[name];
+  const toggled = renderer.shadowMap.enabled !== tier.enabled;
+  shadowTier = name;
+
+  renderer.shadowMap.enabled = tier.enabled;
+  sunLight.castShadow = tier.enabled;
+
+  if (tier.enabled) {
+    renderer.shadowMap.type = tier.type;
+    sunLight.shadow.mapSize.set(tier.mapSize, tier.mapSize);
+    sunLight.shadow.bias = -0.0005;
+    sunLight.shadow.normalBias = 0.03;
+
+    // A new size needs a new map
+    sunLight.shadow.map?.dispose();
+    sunLight.shadow.map = null;
+  }
+
+  flowerField?.setShadows(!!tier.flowers);
+
+  // Lit materials compile shadow code in or out
+  if (toggled) scene.traverse((o) => { if (o.material) o.material.needsUpdate = true; });
+}
+
+// Middle of the bloom; used for shadow fitting and depth-of-field focus
+function roseFocusPoint() {
+  return roseShadowCenter.copy(rose.group.position).setY(CONFIG.roseHeight * 0.5);
+}
+
+function updateShadows() {
+  const tier = SHADOW_TIERS[shadowTier];
+  if (!tier.enabled) return;
+
+  if (tier.fitted) {
+    camera.updateMatrixWorld();
+    fitShadowToView(sunLight, keyLightDirection, camera, tier.distance);
+  } else {
+    fitShadowToPoint(sunLight, keyLightDirection, roseFocusPoint(), CONFIG.roseHeight * 0.75);
+  }
 }
 
 function onResize() {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, CONFIG.maxPixelRatio));
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, pixelRatioCap));
+  post?.setSize(window.innerWidth, window.innerHeight, renderer.getPixelRatio());
 }
 
 // --------------------
-// Ground
+// Performance governor (?perf=off | ?perf=<level name>)
 // --------------------
-function createGround() {
-  // --- Ground mesh (green + subtle variation) ---
-  const geo = new THREE.PlaneGeometry(260, 260, 120, 120);
-  geo.rotateX(-Math.PI / 2);
-
-  // Soft terrain waviness (keep subtle so it still feels like a field)
-  const p = geo.attributes.position;
-  for (let i = 0; i < p.count; i++) {
-    const x = p.getX(i);
-    const z = p.getZ(i);
-
-    // A little richer noise than before (still cheap)
-    const y =
-      Math.sin(x * 0.035) * 0.09 +
-      Math.cos(z * 0.030) * 0.09 +
-      Math.sin((x + z) * 0.020) * 0.06;
-
-    p.setY(i, y);
-  }
-  p.needsUpdate = true;
-  geo.computeVertexNormals();
+function setupGovernor() {
+  const mode = readGovernorMode();
+  const startLevel = mode.level ?? (isMobile() ? 1 : 0);
+
+  applyQualityLevel(QUALITY_LEVELS[startLevel]);
+  if (!mode.enabled) return;
+
+  governor = createPerformanceGovernor({
+    startLevel,
+    onLevel: (level, spec) => applyQualityLevel(spec),
+  });
+  // Budget against this display (60, 120, 144 Hz...), not an assumed 60; a tab
+  // back from the background may have moved to another screen, so measure again
+  const measure = () => measureRefreshInterval().then((ms) => governor.setTargetMs(ms));
+  measure();
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) measure();
+  });
+}
 
-  // Vertex colors: greener + grass-like patching
-  const colors = new Float32Array(p.count * 3);
+function applyQualityLevel(spec) {
+  quality = spec;
 
-  // More "grass" palette
-  const base = new THREE.Color(0x2f7d32);   // vivid grass green
-  const dark = new THREE.Color(0x1f5f2a);   // shadowy patches
-  const light = new THREE.Color(0x4caf50);  // sunlit patches
+  pixelRatioCap = Math.min(CONFIG.maxPixelRatio, spec.pixelRatio);
+  onResize();
 
-  for (let i = 0; i < p.count; i++) {
-    const x = p.getX(i);
-    const z = p.getZ(i);
+  flowerField?.setDensity(spec.flowers);
+  fallingHearts?.setDensity(spec.hearts);
+  ground?.userData.setDensity(spec.grass);
 
-    // Cheap pseudo-noise blend (no textures)
-    const n1 = 0.5 + 0.5 * Math.sin(x * 0.09) * Math.cos(z * 0.08);
-    const n2 = 0.5 + 0.5 * Math.sin((x + z) * 0.05);
-    const n = (n1 * 0.65 + n2 * 0.35);
+  const order = SHADOW_TIER_NAMES;
+  const tier = order[Math.min(order.indexOf(deviceShadowTier), order.indexOf(spec.shadow))];
+  if (tier !== shadowTier) setShadowTier(tier);
 
-    // Mix base->dark->light
-    const c = base.clone().lerp(dark, (1.0 - n) * 0.55).lerp(light, n * 0.45);
+  applyPostQuality();
+}
 
-    colors[i * 3 + 0] = c.r;
-    colors[i * 3 + 1] = c.g;
-    colors[i * 3 + 2] = c.b;
+// A pass runs when the user wants it and the quality level allows it
+function applyPostQuality() {
+  if (!post) return;
+  for (const name of Object.keys(post.passes)) {
+    const allowed = quality.post === 'all' || quality.post.includes(name);
+    post.setEnabled(name, postSettings[name] && allowed);
   }
-  geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+}
+
+// Nothing left to post-process: skip the composer and its extra render targets
+function postActive() {
+  return post && Object.keys(post.passes).some((name) => post.isEnabled(name));
+}
+
+// --------------------
+// Ground
+// --------------------
+/**
+ * @param {ReturnType<import('./gardenData.js').generateGround>} data
+ * @param {ReturnType<import('./gardenData.js').generateGrass>} grassData
+ */
+function createGround(data, grassData) {
+  // --- Ground mesh (green + subtle variation), shaped and colored in gardenData.js ---
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(data.position, 3));
+  geo.setAttribute('normal', new THREE.BufferAttribute(data.normal, 3));
+  geo.setAttribute('uv', new THREE.BufferAttribute(data.uv, 2));
+  geo.setAttribute('color', new THREE.BufferAttribute(data.color, 3));
+  geo.setIndex(new THREE.BufferAttribute(data.index, 1));
 
   const groundMat = new THREE.MeshStandardMaterial({
     vertexColors: true,
@@ -591,51 +813,33 @@ function createGround() {
 
   const ground = new THREE.Mesh(geo, groundMat);
   ground.position.y = 0;
-  ground.receiveShadow = false; // keep mobile-friendly
+  ground.receiveShadow = true; // cheap when the shadow tier is 'off'
 
   // --- Short grass layer (cheap "fuzz" using points) ---
   // This gives the perception of tiny blades without heavy geometry.
-  const grassCount = isMobile() ? 22000 : 55000;
-
-  const grassGeo = new THREE.BufferGeometry();
-  const positions = new Float32Array(grassCount * 3);
-  const sizes = new Float32Array(grassCount);
-  const phases = new Float32Array(grassCount);
-
-  // For sampling height from the plane, we use the same height function used above
-  // so blades sit on terrain without raycasts.
-  function heightAt(x, z) {
-    return (
-      Math.sin(x * 0.035) * 0.09 +
-      Math.cos(z * 0.030) * 0.09 +
-      Math.sin((x + z) * 0.020) * 0.06
-    );
-  }
-
-  for (let i = 0; i < grassCount; i++) {
-    const x = (Math.random() - 0.5) * 250;
-    const z = (Math.random() - 0.5) * 250;
-
-    const y = heightAt(x, z) + 0.01; // slight lift to avoid z-fighting
-
-    positions[i * 3 + 0] = x;
-    positions[i * 3 + 1] = y;
-    positions[i * 3 + 2] = z;
-
-    sizes[i] = 0.035 + Math.random() * 0.055;  // short blades
-    phases[i] = Math.random() * Math.PI * 2;   // wind variation
+  let grassGeo = null;
+  let grassCount = 0;
+  let grassDensity = 1;
+
+  function buildGrassGeometry(blades) {
+    const g = new THREE.BufferGeometry();
+    g.setAttribute('position', new THREE.BufferAttribute(blades.position, 3));
+    g.setAttribute('aSize', new THREE.BufferAttribute(blades.size, 1));
+    g.setAttribute('aPhase', new THREE.BufferAttribute(blades.phase, 1));
+    grassCount = blades.size.length;
+    g.setDrawRange(0, Math.round(grassCount * grassDensity));
+    return g;
   }
-
-  grassGeo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-  grassGeo.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
-  grassGeo.setAttribute('aPhase', new THREE.BufferAttribute(phases, 1));
+  grassGeo = buildGrassGeometry(grassData);
 
   const grassMat = new THREE.ShaderMaterial({
     uniforms: {
       uTime: { value: 0 },
+      uSway: { value: 1 },
     },
     vertexShader: `
       uniform float uTime;
+      uniform float uSway;
       attribute float aSize;
       attribute float aPhase;
 
@@ -646,8 +850,8 @@ function createGround() {
 
         // Gentle wind sway (tiny sideways jitter)
         float t = uTime * 1.2 + aPhase;
-        pos.x += sin(t) * 0.04;
-        pos.z += cos(t * 0.85) * 0.03;
+        pos.x += sin(t) * 0.04 * uSway;
+        pos.z += cos(t * 0.85) * 0.03 * uSway;
 
         // Fade with distance to avoid noisy horizon
         vec4 mv = modelViewMatrix * vec4(pos, 1.0);
@@ -684,9 +888,23 @@ function createGround() {
   grass.renderOrder = -10; // above ground, below flowers
   ground.add(grass);
 
-  // Hook for your animate loop: call ground.userData.update(t)
-  ground.userData.update = (t) => {
+  // Hook for your animate loop: call ground.userData.update(t, sway)
+  ground.userData.update = (t, sway = 1) => {
     grassMat.uniforms.uTime.value = t;
+    grassMat.uniforms.uSway.value = sway;
+  };
+
+  // Points were scattered uniformly, so any prefix is an evenly thinned lawn
+  ground.userData.setDensity = (fraction) => {
+    grassDensity = fraction;
+    grassGeo.setDrawRange(0, Math.round(grassCount * fraction));
+  };
+
+  // New blades (the editor changed the seed), same material and density
+  ground.userData.setGrass = (blades) => {
+    grassGeo.dispose();
+    grassGeo = buildGrassGeometry(blades);
+    grass.geometry = grassGeo;
   };
 
   return ground;
@@ -695,206 +913,511 @@ function createGround() {
 // --------------------
 // Flower Field
 // --------------------
-function createFlowerField() {
-  const flowerGeo = buildSingleFlowerGeometry();
-  const flowerMat = new THREE.MeshStandardMaterial({
-    color: 0xffffff,
-    roughness: 0.70,
-    metalness: 0.05,
-    vertexColors: true,
-    side: THREE.DoubleSide,
-  });
+/**
+ * @param {ReturnType<import('./gardenData.js').generateChunkedFlowerLayout>} layout  chunked instance data per species
+ */
+function createFlowerField(layout) {
+  const daisyGeo = buildSingleFlowerGeometry(0, createStream(CONFIG.seed, 'daisy'));
+
+  const species = FLOWER_SPECIES.map((def, i) => ({ def, ...layout.species[i] }));
+  const materials = [];
+  for (const sp of species) {
+    sp.count = sp.xz.length / 2;
+
+    // LOD0..2 are real geometry, LOD3 is a camera-facing impostor card
+    const build = flowerBuilder(sp.def.id);
+    const geos = [0, 1, 2].map((detail) => (build === buildSingleFlowerGeometry && detail === 0 ? daisyGeo : build(detail)));
+    geos[0].computeBoundingBox();
+    const box = geos[0].boundingBox;
+    const halfWidth = Math.max(-box.min.x, box.max.x, -box.min.z, box.max.z);
+    geos.push(buildFlowerImpostorGeometry(halfWidth * 2, box.max.y));
+    sp.bloomY = box.max.y * 0.9;
+
+    // Tallest instance bounds the chunk spheres
+    const field = chunkField(sp.chunked, box.max.y * sp.def.scale[1] * sp.def.height[1]);
+
+    sp.meshes = geos.map((geo, lod) => {
+      const impostor = lod === geos.length - 1;
+      const mat = impostor ? createFlowerImpostorMaterial(sp.def.id, halfWidth * 2, box.max.y) : new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        roughness: 0.70,
+        metalness: 0.05,
+        vertexColors: true,
+        side: THREE.DoubleSide,
+      });
+      materials.push(mat);
+
+      const mesh = new THREE.InstancedMesh(geo, mat, Math.max(1, sp.count));
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(mesh.instanceMatrix.count * 3), 3);
+      mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+      mesh.count = 0;
+      mesh.frustumCulled = false; // chunks are culled on the CPU
+      mesh.name = `Flower_${sp.def.id}_LOD${lod}`;
+
+      if (CONFIG.enableWind) {
+        geo.setAttribute('aSway', new THREE.InstancedBufferAttribute(new Float32Array(mesh.instanceMatrix.count), 1).setUsage(THREE.DynamicDrawUsage));
+        geo.setAttribute('aPhase', new THREE.InstancedBufferAttribute(new Float32Array(mesh.instanceMatrix.count), 1).setUsage(THREE.DynamicDrawUsage));
+      }
+      applyFlowerShader(mesh, { impostor, wind: CONFIG.enableWind, windSpeed: sp.def.wind.speed });
 
-  const mesh = new THREE.InstancedMesh(flowerGeo, flowerMat, CONFIG.flowerCount);
-  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      scene.add(mesh);
+      return mesh;
+    });
 
-  const palette = [
-    new THREE.Color(0xff69b4),
-    new THREE.Color(0xff1493),
-    new THREE.Color(0xffb6c1),
-    new THREE.Color(0xff6b9d),
-    new THREE.Color(0xffc0cb),
-    new THREE.Color(0xff8fab),
-    new THREE.Color(0xff91a4),
-    new THREE.Color(0xdb7093),
-    new THREE.Color(0xffb3d9),
-    new THREE.Color(0xff4d88),
-  ];
-  const instanceColors = new Float32Array(CONFIG.flowerCount * 3);
-
-  const aSway = new Float32Array(CONFIG.flowerCount);
-  const aPhase = new Float32Array(CONFIG.flowerCount);
+    sp.lods = createLodAssigner(field, sp.meshes, CONFIG.flowerLodDistances);
+  }
 
-  const tmpM = new THREE.Matrix4();
-  const tmpQ = new THREE.Quaternion();
-  const tmpS = new THREE.Vector3();
-  const tmpP = new THREE.Vector3();
+  const meshes = species.flatMap((sp) => sp.meshes);
 
-  for (let i = 0; i < CONFIG.flowerCount; i++) {
-    const r = CONFIG.clearRadius + rand(0, 1) * (CONFIG.fieldRadius - CONFIG.clearRadius);
-    const a = rand(0, Math.PI * 2);
-    const x = Math.cos(a) * r + rand(-2.5, 2.5);
-    const z = Math.sin(a) * r + rand(-2.5, 2.5);
-
-    const h = rand(0.6, 1.6);
-    const s = rand(0.65, 1.4);
-    const tiltX = rand(-0.18, 0.18);
-    const tiltZ = rand(-0.18, 0.18);
-    const yaw = rand(0, Math.PI * 2);
-
-    tmpP.set(x, 0, z);
-    tmpQ.setFromEuler(new THREE.Euler(tiltX, yaw, tiltZ, 'XYZ'));
-    tmpS.set(s, s * h, s);
-
-    tmpM.compose(tmpP, tmpQ, tmpS);
-    mesh.setMatrixAt(i, tmpM);
-
-    const c = pick(palette).clone();
-    c.offsetHSL(rand(-0.02, 0.02), rand(-0.03, 0.03), rand(-0.04, 0.04));
-    instanceColors[i * 3 + 0] = c.r;
-    instanceColors[i * 3 + 1] = c.g;
-    instanceColors[i * 3 + 2] = c.b;
-
-    aSway[i] = rand(0.3, 1.1);
-    aPhase[i] = rand(0, Math.PI * 2);
+  // Only the real-geometry LODs near the camera are worth a shadow
+  const setShadows = (on) => {
+    for (const sp of species) {
+      sp.meshes.forEach((mesh, lod) => {
+        mesh.castShadow = on && lod <= 1;
+        mesh.receiveShadow = on && lod <= 1;
+      });
+    }
+  };
+  setShadows(!!SHADOW_TIERS[shadowTier].flowers);
+
+  // Tapped flowers bounce in place, drawn over whatever slot the LOD pass gave them
+  const reactions = [];
+  const REACTION_SEC = 0.9;
+  const restMatrix = new THREE.Matrix4();
+  const bounceMatrix = new THREE.Matrix4();
+
+  function pick(ray) {
+    const hit = ray.intersectObjects(meshes, false)[0];
+    if (!hit) return null;
+
+    const index = species.findIndex((sp) => sp.meshes.includes(hit.object));
+    const sp = species[index];
+    const id = sp.lods.slotIds[sp.meshes.indexOf(hit.object)][hit.instanceId];
+    return { index, species: sp.def.id, id, point: hit.point };
   }
 
-  mesh.instanceColor = new THREE.InstancedBufferAttribute(instanceColors, 3);
-  mesh.instanceMatrix.needsUpdate = true;
+  /** Where the bloom is and its color (for petals and the bouquet). */
+  function infoOf(index, id) {
+    const sp = species[index];
+    sp.lods.matrixOf(id, restMatrix);
+    return {
+      bloom: new THREE.Vector3(0, sp.bloomY, 0).applyMatrix4(restMatrix),
+      color: new THREE.Color().fromArray(sp.lods.attributeOf('instanceColor', id)),
+    };
+  }
 
-  if (CONFIG.enableWind) {
-    mesh.geometry.setAttribute('aSway', new THREE.InstancedBufferAttribute(aSway, 1));
-    mesh.geometry.setAttribute('aPhase', new THREE.InstancedBufferAttribute(aPhase, 1));
-    applyWindShader(mesh);
+  function react(index, id, t) {
+    const sp = species[index];
+    const existing = reactions.find((r) => r.sp === sp && r.id === id);
+    if (existing) existing.start = t;
+    else reactions.push({ sp, id, start: t });
   }
 
-  mesh.position.y = 0.0;
-  scene.add(mesh);
+  // Picked for the bouquet: a zero matrix keeps it out of every LOD from now on
+  const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+  const hiddenIds = species.map(() => new Set());
+  function hide(index, id) {
+    const sp = species[index];
+    hiddenIds[index].add(id);
+    const r = reactions.findIndex((x) => x.sp === sp && x.id === id);
+    if (r >= 0) reactions.splice(r, 1);
+    sp.lods.setMatrixOf(id, hidden);
+  }
+
+  /** Visits every flower still in the field: fn(index, id, color, x, z, drawn). */
+  const eachColor = new THREE.Color();
+  function eachFlower(fn) {
+    species.forEach((sp, index) => {
+      for (let id = 0; id < sp.count; id++) {
+        if (hiddenIds[index].has(id)) continue;
+        eachColor.fromArray(sp.colors, id * 3);
+        fn(index, id, eachColor, sp.xz[id * 2], sp.xz[id * 2 + 1], !!sp.lods.locate(id));
+      }
+    });
+  }
+
+  function updateReactions(t) {
+    for (let i = reactions.length - 1; i >= 0; i--) {
+      const { sp, id, start } = reactions[i];
+      const p = Math.min(1, (t - start) / REACTION_SEC);
+
+      // Swell open, then a damped squash-and-stretch
+      const bounce = Math.sin(p * Math.PI * 3) * (1 - p);
+      const swell = Math.sin(p * Math.PI) * 0.18;
+      bounceMatrix.makeScale(1 + swell - bounce * 0.1, 1 + bounce * 0.2, 1 + swell - bounce * 0.1);
+
+      const where = sp.lods.locate(id);
+      if (where) {
+        const attr = sp.meshes[where.lod].instanceMatrix;
+        sp.lods.matrixOf(id, restMatrix).multiply(bounceMatrix);
+        restMatrix.toArray(attr.array, where.slot * 16);
+        attr.addUpdateRange(where.slot * 16, 16);
+        attr.needsUpdate = true;
+      }
+
+      if (p >= 1) reactions.splice(i, 1);
+    }
+  }
 
   return {
-    mesh,
-    material: flowerMat,
-    updateWind: (t) => {
-      const shader = flowerMat.userData.shader;
-      if (shader) shader.uniforms.uTime.value = t;
+    meshes,
+    pick,
+    infoOf,
+    react,
+    hide,
+    eachFlower,
+    species: species.map(({ def, count: n, meshes: m, lods }) => ({ id: def.id, count: n, meshes: m, lods })),
+    setShadows,
+    setBloomWave: (radius, strength) => {
+      for (const mesh of meshes) {
+        for (const shader of flowerShaders(mesh)) shader.uniforms.uBloomWave?.value.set(radius, strength);
+      }
+    },
+    // strength scales how far the stems bend (reduced-motion mode calms it)
+    updateWind: (t, strength = 1) => {
+      for (const mesh of meshes) {
+        for (const shader of flowerShaders(mesh)) {
+          if (!shader.uniforms.uTime) continue;
+          shader.uniforms.uTime.value = t;
+          shader.uniforms.uWindStrength.value = strength;
+        }
+      }
+    },
+    update: (cam, t) => {
+      species.forEach((sp) => sp.lods.update(cam));
+      updateReactions(t);
     },
+    // Chunks keep their random order, so drawing a prefix of each thins the field evenly
+    setDensity: (fraction) => species.forEach((sp) => sp.lods.setDensity(fraction)),
+    dispose: () => {
+      for (const mesh of meshes) {
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.customDepthMaterial?.dispose();
+        mesh.userData.depthMaterial?.dispose();
+        mesh.dispose();
+      }
+      materials.forEach((m) => {
+        m.map?.dispose();
+        m.dispose();
+      });
+    },
+  };
+}
+
+// --------------------
+// Flower impostor (farthest LOD)
+// --------------------
+// White petals get the instance tint, the rest keeps its painted color
+function createFlowerImpostorMaterial(id, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = Math.min(256, Math.round(64 * height / width));
+  const ctx = canvas.getContext('2d');
+
+  // World units (x centered, y up from the ground) -> canvas pixels
+  const px = Math.min(canvas.width / width, canvas.height / height);
+  const X = (x) => canvas.width / 2 + x * px;
+  const Y = (y) => canvas.height - y * px;
+
+  const stem = (top, lineWidth = 3) => {
+    ctx.strokeStyle = '#2db86e';
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    ctx.moveTo(X(0), Y(0));
+    ctx.lineTo(X(0), Y(top));
+    ctx.stroke();
+  };
+  const blob = (x, y, rx, ry, rotation, color) => {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.ellipse(X(x), Y(y), rx * px, ry * px, rotation, 0, Math.PI * 2);
+    ctx.fill();
   };
+
+  if (id === 'tulip') {
+    stem(1.25);
+    blob(0.1, 0.35, 0.07, 0.35, 0.25, '#229955');
+    blob(0, 1.38, 0.17, 0.18, 0, '#ffffff');
+    for (const x of [-0.1, 0, 0.1]) blob(x, 1.5, 0.07, 0.1, 0, '#ffffff');
+  } else if (id === 'sprayRose') {
+    stem(1.15);
+    blob(0.12, 0.65, 0.1, 0.05, -0.6, '#229955');
+    blob(0, 1.2, 0.16, 0.13, 0, '#ffffff');
+  } else if (id === 'lavender') {
+    stem(1.15, 2);
+    for (let w = 0; w < 9; w++) blob(0, 1.15 + w * 0.08, 0.07 * (1 - w / 18), 0.05, 0, '#ffffff');
+  } else if (id === 'babysBreath') {
+    stem(0.9, 2);
+    ctx.lineWidth = 1;
+    for (let i = 0; i < 7; i++) {
+      const x = Math.cos(i * 2.39996) * (0.18 + 0.14 * ((i * 0.618) % 1));
+      const y = 1.15 + 0.28 * ((i * 0.382) % 1);
+      ctx.beginPath();
+      ctx.moveTo(X(0), Y(0.9));
+      ctx.lineTo(X(x), Y(y));
+      ctx.stroke();
+      blob(x, y, 0.07, 0.06, 0, '#ffffff');
+    }
+  } else {
+    stem(1.55);
+    blob(0.2, 0.65, 0.14, 0.06, -0.6, '#229955');
+    for (let i = 0; i < 8; i++) {
+      const a = (i / 8) * Math.PI * 2;
+      blob(Math.cos(a) * 0.22, 1.55 + Math.sin(a) * 0.12, 0.2, 0.12, -a, '#ffffff');
+    }
+    blob(0, 1.55, 0.1, 0.1, 0, '#ffd700');
+  }
+
+  const map = new THREE.CanvasTexture(canvas);
+  map.colorSpace = THREE.SRGBColorSpace;
+
+  return new THREE.MeshLambertMaterial({
+    map,
+    alphaTest: 0.5,
+    side: THREE.DoubleSide,
+  });
 }
 
-function buildSingleFlowerGeometry() {
-  const stem = new THREE.CylinderGeometry(0.035, 0.055, 1.5, 8);
-  stem.translate(0, 0.75, 0);
+// Cylindrical billboard: the card turns about its own up axis to face the camera
+function injectFlowerImpostor(shader) {
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      '#include <beginnormal_vertex>',
+      'vec3 objectNormal = vec3(0.0, 1.0, 0.0); // lit like the ground it stands in'
+    )
+    .replace(
+      '#include <project_vertex>',
+      `vec4 instanceOrigin = modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+       float instanceWidth = length(instanceMatrix[0].xyz);
+       float instanceHeight = length(instanceMatrix[1].xyz);
+       vec3 toCamera = cameraPosition - instanceOrigin.xyz;
+       vec3 right = normalize(vec3(toCamera.z, 0.0, -toCamera.x) + vec3(1e-5, 0.0, 0.0));
+       vec3 billboard = instanceOrigin.xyz + right * transformed.x * instanceWidth + vec3(0.0, transformed.y * instanceHeight, 0.0);
+       vec4 mvPosition = viewMatrix * vec4(billboard, 1.0);
+       gl_Position = projectionMatrix * mvPosition;`
+    );
+}
+
+// Instance color tints only the white (petal) texels/vertices; stems and
+// centers keep their own color
+function injectPetalTint(shader) {
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      '#include <common>',
+      `#include <common>
+       varying vec3 vTint;`
+    )
+    .replace(
+      '#include <color_vertex>',
+      `#ifdef USE_COLOR
+         vColor = color;
+       #endif
+       vTint = vec3(1.0);
+       #ifdef USE_INSTANCING_COLOR
+         vTint = instanceColor.rgb;
+       #endif`
+    );
 
-  const leafGeo = createSmoothLeafGeometry(0.4, 0.18);
+  shader.fragmentShader = shader.fragmentShader
+    .replace(
+      '#include <common>',
+      `#include <common>
+       varying vec3 vTint;`
+    )
+    .replace(
+      '#include <color_fragment>',
+      `#include <color_fragment>
+       float petalMask = step(0.8, min(diffuseColor.r, min(diffuseColor.g, diffuseColor.b)));
+       diffuseColor.rgb *= mix(vec3(1.0), vTint, petalMask);`
+    );
+}
 
-  const leaf1 = leafGeo.clone();
-  leaf1.rotateZ(-0.65);
-  leaf1.translate(0.20, 0.60, 0.06);
+/**
+ * Petal tint, plus the impostor billboard and wind sway where asked.
+ * The shadow pass gets the same sway, so shadows move with the flowers.
+ */
+function applyFlowerShader(instancedMesh, { impostor = false, wind = true, windSpeed = 1.1 } = {}) {
+  const mat = instancedMesh.material;
+  mat.onBeforeCompile = (shader) => {
+    if (wind) injectWind(shader, windSpeed);
+    injectBloomWave(shader);
+    if (impostor) injectFlowerImpostor(shader);
+    injectPetalTint(shader);
+    mat.userData.shader = shader;
+  };
+  mat.needsUpdate = true;
 
-  const leaf2 = leafGeo.clone();
-  leaf2.rotateZ(0.65);
-  leaf2.rotateY(Math.PI * 0.7);
-  leaf2.translate(-0.18, 0.75, -0.04);
+  // Depth of field (post.js) sees the flowers where this shader puts them
+  const dofDepthMat = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+  dofDepthMat.onBeforeCompile = (shader) => {
+    if (wind) injectWind(shader, windSpeed);
+    injectBloomWave(shader);
+    if (impostor) injectFlowerImpostor(shader);
+    dofDepthMat.userData.shader = shader;
+  };
+  dofDepthMat.customProgramCacheKey = () => `flower-dof:${wind}:${impostor}`;
+  instancedMesh.userData.depthMaterial = dofDepthMat;
 
-  const petalShape = createPetalShape();
-  const singlePetalGeo = new THREE.ShapeGeometry(petalShape, 16);
+  if (!wind) return;
 
-  // Add curvature to petals
-  const petalLength = 0.7;
-  const petalPos = singlePetalGeo.attributes.position;
-  for (let i = 0; i < petalPos.count; i++) {
-    const x = petalPos.getX(i);
-    const y = petalPos.getY(i);
-    const curve = Math.sin((y / petalLength) * Math.PI) * Math.abs(x) * 1.5;
-    petalPos.setZ(i, curve);
-  }
-  petalPos.needsUpdate = true;
-  singlePetalGeo.computeVertexNormals();
+  const depthMat = new THREE.MeshDepthMaterial();
+  depthMat.onBeforeCompile = (shader) => {
+    injectWind(shader, windSpeed);
+    depthMat.userData.shader = shader;
+  };
+  instancedMesh.customDepthMaterial = depthMat;
+}
 
-  const petals = [];
-  const layers = [
-    { count: 6, size: 0.8, out: 0.5, radius: 0.1 },
-    { count: 8, size: 1.0, out: 0.65, radius: 0 }
-  ];
-  for (let layer of layers) {
-    for (let i = 0; i < layer.count; i++) {
-      const angle = (i / layer.count) * Math.PI * 2 + rng() * 0.1;
-      const petal = singlePetalGeo.clone();
-      petal.scale(layer.size, layer.size, layer.size);
-      petal.rotateY(angle);
-      petal.rotateX(layer.out);
-      petal.translate(0, 1.55, layer.radius);
-      petals.push(petal);
-    }
-  }
+// The color pass and both depth passes (shadows, depth of field) of a flower mesh
+function flowerShaders(mesh) {
+  return [mesh.material, mesh.customDepthMaterial, mesh.userData.depthMaterial]
+    .map((m) => m?.userData.shader)
+    .filter(Boolean);
+}
 
-  const center = new THREE.SphereGeometry(0.12, 14, 12);
-  center.translate(0, 1.55, 0);
+// Celebration: blooms swell as a ring (uBloomWave.x = radius, .y = strength) passes them
+function injectBloomWave(shader) {
+  shader.uniforms.uBloomWave = { value: new THREE.Vector2(0, 0) };
+
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      '#include <common>',
+      `#include <common>
+       uniform vec2 uBloomWave;`
+    )
+    .replace(
+      '#include <begin_vertex>',
+      `#include <begin_vertex>
+       if (uBloomWave.y > 0.0) {
+         float waveDist = length(instanceMatrix[3].xz) - uBloomWave.x;
+         float wave = exp(-waveDist * waveDist / 18.0) * uBloomWave.y;
+         float bloomMask = smoothstep(0.9, 1.4, transformed.y);
+         transformed.xz *= 1.0 + wave * 0.6 * bloomMask;
+         transformed.y += wave * 0.15 * bloomMask;
+       }`
+    );
+}
 
-  const merged = mergeGeometries([stem, leaf1, leaf2, ...petals, center], false);
+function injectWind(shader, speed = 1.1) {
+  shader.uniforms.uTime = { value: 0.0 };
+  shader.uniforms.uWindSpeed = { value: speed };
+  shader.uniforms.uWindStrength = { value: 1.0 };
+
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      '#include <common>',
+      `#include <common>
+       attribute float aSway;
+       attribute float aPhase;
+       uniform float uTime;
+       uniform float uWindSpeed;
+       uniform float uWindStrength;`
+    )
+    .replace(
+      '#include <begin_vertex>',
+      `#include <begin_vertex>
+       float t = uTime * uWindSpeed + aPhase;
+       float sway = aSway * uWindStrength;
+       float bendX = sin(t) * 0.12 * sway;
+       float bendZ = cos(t * 0.85) * 0.09 * sway;
+       float yMask = clamp(transformed.y * 0.70, 0.0, 1.0);
+       transformed.x += bendX * yMask;
+       transformed.z += bendZ * yMask;
+       
+       float topBend = smoothstep(1.2, 1.6, transformed.y);
+       transformed.x += sin(t * 1.3) * 0.08 * topBend * sway;`
+    );
+}
 
-  const pos = merged.attributes.position;
-  const colors = new Float32Array(pos.count * 3);
+// --------------------
+// Petal burst (tapped field flowers)
+// --------------------
+function createPetalBurst(capacity = 64) {
+  const geo = new THREE.ShapeGeometry(createPetalShape(), 4);
+  geo.translate(0, -0.35, 0);
+  geo.scale(0.22, 0.22, 0.22);
 
-  const cStem = new THREE.Color(0x2db86e);
-  const cLeaf = new THREE.Color(0x229955);
-  const cPetal = new THREE.Color(0xffffff);
-  const cCenter = new THREE.Color(0xffd700);
+  const mat = new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    roughness: 0.65,
+    metalness: 0.0,
+    side: THREE.DoubleSide,
+  });
 
-  for (let i = 0; i < pos.count; i++) {
-    const x = pos.getX(i), y = pos.getY(i), z = pos.getZ(i);
-    const r = Math.sqrt(x * x + z * z);
+  const mesh = new THREE.InstancedMesh(geo, mat, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  mesh.name = 'PetalBurst';
+  scene.add(mesh);
 
-    let c = cPetal;
-    if (y < 1.2) c = cStem;
-    else if (y < 1.35 && r > 0.14) c = cLeaf;
-    else if (y > 1.48 && r < 0.16) c = cCenter;
+  const petals = [];
+  const tmpM = new THREE.Matrix4();
+  const tmpQ = new THREE.Quaternion();
+  const tmpE = new THREE.Euler();
+  const tmpS = new THREE.Vector3();
 
-    colors[i * 3 + 0] = c.r;
-    colors[i * 3 + 1] = c.g;
-    colors[i * 3 + 2] = c.b;
+  function emit(origin, color, count = 7) {
+    for (let i = 0; i < count; i++) {
+      const a = Math.random() * Math.PI * 2;
+      const v = 0.4 + Math.random() * 0.6;
+      petals.push({
+        pos: origin.clone(),
+        vel: new THREE.Vector3(Math.cos(a) * v, 1.1 + Math.random() * 0.8, Math.sin(a) * v),
+        rot: new THREE.Vector3(Math.random() * 6.28, Math.random() * 6.28, Math.random() * 6.28),
+        spin: new THREE.Vector3(Math.random() * 6 - 3, Math.random() * 6 - 3, Math.random() * 6 - 3),
+        phase: Math.random() * Math.PI * 2,
+        color: color.clone().offsetHSL(0, 0, (Math.random() - 0.5) * 0.08),
+        age: 0,
+        life: 1.8 + Math.random() * 0.8,
+      });
+    }
+    // Oldest petals make room
+    if (petals.length > capacity) petals.splice(0, petals.length - capacity);
   }
 
-  merged.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-  merged.computeVertexNormals();
-  return merged;
-}
+  function update(delta) {
+    if (!petals.length && !mesh.count) return;
+    delta = Math.min(delta, 0.05);
+
+    let n = 0;
+    for (let i = petals.length - 1; i >= 0; i--) {
+      const p = petals[i];
+      p.age += delta;
+      if (p.age >= p.life) {
+        petals.splice(i, 1);
+        continue;
+      }
 
-function applyWindShader(instancedMesh) {
-  const mat = instancedMesh.material;
-  mat.onBeforeCompile = (shader) => {
-    shader.uniforms.uTime = { value: 0.0 };
-    mat.userData.shader = shader;
+      // Gravity with heavy air drag, plus a sideways flutter
+      p.vel.y -= 2.0 * delta;
+      p.vel.multiplyScalar(1 - 1.6 * delta);
+      p.pos.addScaledVector(p.vel, delta);
+      p.pos.x += Math.sin(p.age * 5 + p.phase) * 0.35 * delta;
+      if (p.pos.y < 0.05) {
+        p.pos.y = 0.05;
+        p.vel.set(0, 0, 0);
+      }
+      p.rot.addScaledVector(p.spin, delta);
+
+      const fade = 1 - THREE.MathUtils.smoothstep(p.age, p.life - 0.5, p.life);
+      tmpQ.setFromEuler(tmpE.set(p.rot.x, p.rot.y, p.rot.z));
+      tmpS.setScalar(fade);
+      tmpM.compose(p.pos, tmpQ, tmpS);
+      mesh.setMatrixAt(n, tmpM);
+      mesh.setColorAt(n, p.color);
+      n++;
+    }
 
-    shader.vertexShader = shader.vertexShader
-      .replace(
-        '#include <common>',
-        `#include <common>
-         attribute float aSway;
-         attribute float aPhase;
-         uniform float uTime;`
-      )
-      .replace(
-        '#include <begin_vertex>',
-        `#include <begin_vertex>
-         float t = uTime * 1.1 + aPhase;
-         float bendX = sin(t) * 0.12 * aSway;
-         float bendZ = cos(t * 0.85) * 0.09 * aSway;
-         float yMask = clamp(transformed.y * 0.70, 0.0, 1.0);
-         transformed.x += bendX * yMask;
-         transformed.z += bendZ * yMask;
-         
-         float topBend = smoothstep(1.2, 1.6, transformed.y);
-         transformed.x += sin(t * 1.3) * 0.08 * topBend * aSway;`
-      );
-
-    shader.fragmentShader = shader.fragmentShader
-      .replace(
-        'diffuseColor.rgb *= vInstanceColor;',
-        'if (vColor.r > 0.9 && vColor.g > 0.9 && vColor.b > 0.9) { diffuseColor.rgb *= vInstanceColor; }'
-      );
-  };
-  mat.needsUpdate = true;
+    mesh.count = n;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+  }
+
+  return { mesh, emit, update };
 }
 
 // --------------------
@@ -910,71 +1433,150 @@ function createFallingHearts() {
     blending: THREE.AdditiveBlending,
   });
 
-  const mesh = new THREE.InstancedMesh(heartGeo, heartMat, CONFIG.heartCount);
-  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  // Twice the configured hearts: the upper half only falls during a celebration surge
+  const capacity = CONFIG.heartCount * 2;
+  const rand = createStream(CONFIG.seed, 'hearts').range;
 
-  const positions = [];
-  const velocities = [];
-  const phases = [];
-  const tmpM = new THREE.Matrix4();
-  const tmpQ = new THREE.Quaternion();
-  const tmpS = new THREE.Vector3(1, 1, 1);
-  const tmpP = new THREE.Vector3();
+  // Everything a heart does is a function of its attributes and two clocks, so the
+  // CPU only writes uniforms: aSpawn = first x, z and height; aMotion = fall speed,
+  // phase, spin rate, scale; aAxis = the axis it tumbles around
+  const spawn = new Float32Array(capacity * 3);
+  const motionData = new Float32Array(capacity * 4);
+  const axes = new Float32Array(capacity * 3);
+  const axis = new THREE.Vector3();
 
-  for (let i = 0; i < CONFIG.heartCount; i++) {
+  for (let i = 0; i < capacity; i++) {
     const r = rand(0, CONFIG.fieldRadius * 1.2);
     const a = rand(0, Math.PI * 2);
-    const x = Math.cos(a) * r;
-    const z = Math.sin(a) * r;
-    const y = rand(CONFIG.heartStartYMin, CONFIG.heartStartYMax);
+    spawn[i * 3 + 0] = Math.cos(a) * r;
+    spawn[i * 3 + 1] = Math.sin(a) * r;
+    spawn[i * 3 + 2] = rand(CONFIG.heartStartYMin, CONFIG.heartStartYMax);
+
+    motionData[i * 4 + 0] = -rand(CONFIG.heartFallSpeedMin, CONFIG.heartFallSpeedMax);
+    motionData[i * 4 + 1] = rand(0, Math.PI * 2);
+    motionData[i * 4 + 2] = rand(-1.2, 1.2);
+    motionData[i * 4 + 3] = CONFIG.heartScale * rand(0.5, 1.5);
+
+    axis.set(rand(-1, 1), rand(-1, 1), rand(-1, 1));
+    if (axis.lengthSq() < 1e-4) axis.set(0, 1, 0);
+    axis.normalize().toArray(axes, i * 3);
+  }
 
-    tmpP.set(x, y, z);
-    tmpQ.setFromEuler(new THREE.Euler(rand(0, Math.PI), rand(0, Math.PI * 2), rand(0, Math.PI)));
-    tmpS.setScalar(CONFIG.heartScale * rand(0.5, 1.5));
+  heartGeo.setAttribute('aSpawn', new THREE.InstancedBufferAttribute(spawn, 3));
+  heartGeo.setAttribute('aMotion', new THREE.InstancedBufferAttribute(motionData, 4));
+  heartGeo.setAttribute('aAxis', new THREE.InstancedBufferAttribute(axes, 3));
 
-    tmpM.compose(tmpP, tmpQ, tmpS);
-    mesh.setMatrixAt(i, tmpM);
+  const uniforms = {
+    uTime: { value: 0 },
+    uFall: { value: 0 },
+    uTop: { value: CONFIG.heartStartYMax },
+    uRadius: { value: CONFIG.fieldRadius * 1.2 },
+  };
+  heartMat.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    injectFallingHeart(shader);
+  };
 
-    positions.push(new THREE.Vector3(x, y, z));
-    velocities.push(rand(CONFIG.heartFallSpeedMin, CONFIG.heartFallSpeedMax));
-    phases.push(rand(0, Math.PI * 2));
-  }
+  // Depth of field (post.js) sees each heart where it is, not at the origin
+  const depthMat = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking, side: THREE.DoubleSide });
+  depthMat.onBeforeCompile = heartMat.onBeforeCompile;
 
-  mesh.instanceMatrix.needsUpdate = true;
+  // Instance matrices stay identity; the vertex shader places every heart
+  const mesh = new THREE.InstancedMesh(heartGeo, heartMat, capacity);
+  mesh.count = CONFIG.heartCount;
+  mesh.frustumCulled = false;
+  mesh.userData.depthMaterial = depthMat;
   scene.add(mesh);
 
+  const baseColor = heartMat.color.clone();
+  const surgeColor = new THREE.Color(0xff7ab8);
+  let baseCount = CONFIG.heartCount;
+  let surge = 0;
+
+  // uFall integrates speed, so a surge speeds the fall up without making hearts jump
   const update = (delta, t) => {
-    for (let i = 0; i < CONFIG.heartCount; i++) {
-      const pos = positions[i];
-      pos.y += velocities[i] * delta;
-
-      const swayX = Math.sin(t + phases[i]) * 0.5;
-      const swayZ = Math.cos(t + phases[i] * 0.7) * 0.3;
-      pos.x += swayX * delta;
-      pos.z += swayZ * delta;
-
-      if (pos.y < 0) {
-        const r = rand(0, CONFIG.fieldRadius * 1.2);
-        const a = rand(0, Math.PI * 2);
-        pos.x = Math.cos(a) * r;
-        pos.z = Math.sin(a) * r;
-        pos.y = rand(CONFIG.heartStartYMin, CONFIG.heartStartYMax);
-        velocities[i] = rand(CONFIG.heartFallSpeedMin, CONFIG.heartFallSpeedMax);
-      }
+    uniforms.uTime.value = t;
+    uniforms.uFall.value += delta * (1 + surge * 1.5);
+  };
 
-      tmpM.compose(pos, tmpQ, tmpS);
-      mesh.setMatrixAt(i, tmpM);
-    }
-    mesh.instanceMatrix.needsUpdate = true;
+  const dispose = () => {
+    scene.remove(mesh);
+    heartGeo.dispose();
+    heartMat.dispose();
+    depthMat.dispose();
+    mesh.dispose();
   };
 
-  return { mesh, update };
+  const applyCount = () => {
+    mesh.count = Math.min(capacity, Math.round(baseCount * (1 + surge)));
+  };
+
+  const setDensity = (fraction) => {
+    baseCount = Math.round(CONFIG.heartCount * fraction);
+    applyCount();
+  };
+
+  /** 0 = normal, 1 = twice the hearts, falling faster and pinker. */
+  const setSurge = (k) => {
+    surge = THREE.MathUtils.clamp(k, 0, 1);
+    heartMat.color.lerpColors(baseColor, surgeColor, surge);
+    heartMat.opacity = 0.8 + surge * 0.15;
+    applyCount();
+  };
+
+  return { mesh, update, setDensity, setSurge, dispose };
+}
+
+// Falls from its spawn height to the ground, then comes back in at the top somewhere
+// new (picked by hashing the lap number); sways and tumbles on its own axis throughout
+function injectFallingHeart(shader) {
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      '#include <common>',
+      `#include <common>
+       attribute vec3 aSpawn;
+       attribute vec4 aMotion;
+       attribute vec3 aAxis;
+       uniform float uTime;
+       uniform float uFall;
+       uniform float uTop;
+       uniform float uRadius;
+
+       float heartHash(vec2 p) {
+         return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+       }`
+    )
+    .replace(
+      '#include <begin_vertex>',
+      `#include <begin_vertex>
+       float phase = aMotion.y;
+
+       // Distance fallen, counted from the top, so every lap is uTop long
+       float fallen = uFall * aMotion.x + (uTop - aSpawn.z);
+       float lap = floor(fallen / uTop);
+       vec3 center = vec3(aSpawn.x, uTop - mod(fallen, uTop), aSpawn.y);
+       if (lap > 0.0) {
+         float r = heartHash(vec2(lap, phase)) * uRadius;
+         float a = heartHash(vec2(phase, lap + 17.0)) * 6.2831853;
+         center.xz = vec2(cos(a), sin(a)) * r;
+       }
+       center.x += sin(uTime + phase) * 0.5;
+       center.z += cos(uTime + phase * 0.7) * 0.3;
+
+       // Rodrigues rotation around the heart's own axis
+       float angle = phase + uTime * aMotion.z;
+       float c = cos(angle);
+       float s = sin(angle);
+       transformed = transformed * c + cross(aAxis, transformed) * s + aAxis * dot(aAxis, transformed) * (1.0 - c);
+       transformed = transformed * aMotion.w + center;`
+    );
 }
 
 // --------------------
 // Rose - Massive and centered
 // --------------------
-function createRose() {
+/** @param {ReturnType<import('./gardenData.js').generateRosePetals>} petals */
+function createRose(petals) {
   const roseGroup = new THREE.Group();
   roseGroup.name = 'RoseGroup';
 
@@ -993,7 +1595,8 @@ function createRose() {
     roughness: 0.70,
     metalness: 0.0,
   });
-  addThornsToStem(roseGroup, stemMesh, thornMat);
+  const reseedThorns = addThornsToStem(roseGroup, stemMesh, thornMat);
+  reseedThorns(CONFIG.seed);
 
   const leafMat = new THREE.MeshStandardMaterial({
     color: 0x1a7a45,
@@ -1002,28 +1605,7 @@ function createRose() {
     side: THREE.DoubleSide,
   });
 
-  // Create compound leaves
-  const leaf1 = createCompoundLeafGeo(
-    new THREE.Vector3(0.08, 0.28, 0.03),
-    new THREE.Euler(0, 0, -0.9),
-    0.1, 0.15, 0.07, 8
-  );
-
-  const leaf2 = createCompoundLeafGeo(
-    new THREE.Vector3(-0.075, 0.38, -0.025),
-    new THREE.Euler(0, Math.PI, 0.85),
-    0.1, 0.14, 0.065, 8
-  );
-
-  const leaf3 = createCompoundLeafGeo(
-    new THREE.Vector3(0.02, 0.45, 0.08),
-    new THREE.Euler(0, Math.PI * 0.5, -0.7),
-    0.1, 0.13, 0.06, 7
-  );
-
-  const leavesGeo = mergeGeometries([leaf1, leaf2, leaf3], false);
-  leavesGeo.computeVertexNormals();
-
+  const leavesGeo = createRoseLeavesGeometry();
   const leavesMesh = new THREE.Mesh(leavesGeo, leafMat);
   leavesMesh.name = 'RoseLeaves';
   roseGroup.add(leavesMesh);
@@ -1039,8 +1621,11 @@ function createRose() {
     clearcoatRoughness: 0.30,
   });
 
-  const petalsGeo = buildRealisticRosePetalsGeometry();
-  petalsGeo.computeVertexNormals();
+  const petalsGeo = new THREE.BufferGeometry();
+  petalsGeo.setAttribute('position', new THREE.BufferAttribute(petals.position, 3));
+  petalsGeo.setAttribute('normal', new THREE.BufferAttribute(petals.normal, 3));
+  petalsGeo.setIndex(new THREE.BufferAttribute(petals.index, 1));
+  petalsGeo.computeBoundingSphere();
 
   const petalsMesh = new THREE.Mesh(petalsGeo, petalMat);
   petalsMesh.name = 'RosePetals';
@@ -1053,6 +1638,10 @@ function createRose() {
   colliderMesh.name = 'RoseCollider';
   roseGroup.add(colliderMesh);
 
+  // Every visible part of the rose casts; the invisible collider must not
+  roseGroup.traverse((o) => { if (o.isMesh) o.castShadow = true; });
+  colliderMesh.castShadow = false;
+
   const rim = new THREE.PointLight(0xff4d6d, 1.2, 5.0);
   rim.position.set(0.3, 1.0, 0.2);
   roseGroup.add(rim);
@@ -1068,7 +1657,10 @@ function createRose() {
   roseGroup.scale.setScalar(scale);
 
   const roseSpot = new THREE.SpotLight(0xff6b8a, 2.0, 18, Math.PI / 6, 0.35, 1);
-  roseSpot.position.copy(sunDirection).multiplyScalar(10).add(new THREE.Vector3(0, 4.0, 0));
+  const placeSpot = () => {
+    roseSpot.position.copy(sunDirection).multiplyScalar(10).add(new THREE.Vector3(0, 4.0, 0));
+  };
+  placeSpot();
   roseSpot.target = roseGroup;
   scene.add(roseSpot);
   scene.add(roseSpot.target);
@@ -1078,90 +1670,41 @@ function createRose() {
   const baseRot = roseGroup.rotation.clone();
   const baseScale = roseGroup.scale.clone();
 
-  function animateRose(t) {
-    const sway = Math.sin(t * 0.85) * 0.055;
-    const swayZ = Math.cos(t * 0.65) * 0.028;
+  function setHeight(height) {
+    baseScale.setScalar(height / baseHeight);
+  }
+
+  function reseed(seed) {
+    reseedThorns(seed);
+  }
+
+  // amount 0 holds the rose still at its rest pose
+  function animateRose(t, amount = 1) {
+    const sway = Math.sin(t * 0.85) * 0.055 * amount;
+    const swayZ = Math.cos(t * 0.65) * 0.028 * amount;
     roseGroup.rotation.y = baseRot.y + sway;
     roseGroup.rotation.z = baseRot.z + swayZ;
 
-    const breath = 1.0 + Math.sin(t * 1.1) * 0.015;
+    const breath = 1.0 + Math.sin(t * 1.1) * 0.015 * amount;
     roseGroup.scale.set(
       baseScale.x * breath,
-      baseScale.y * (1.0 + Math.sin(t * 1.1 + 1.2) * 0.012),
+      baseScale.y * (1.0 + Math.sin(t * 1.1 + 1.2) * 0.012 * amount),
       baseScale.z * breath
     );
   }
 
-  return { group: roseGroup, stemMesh, leavesMesh, petalsMesh, colliderMesh, animateRose };
+  return { group: roseGroup, stemMesh, leavesMesh, petalsMesh, colliderMesh, spot: roseSpot, animateRose, placeSpot, setHeight, reseed };
 }
 
 function createRealRoseStemMesh(stemMat) {
-  const height = 0.65;
-
-  // Realistic bend (subtle S curve)
-  const p0 = new THREE.Vector3(0, 0.00, 0);
-  const p1 = new THREE.Vector3(0.06, height * 0.33, 0.02);
-  const p2 = new THREE.Vector3(-0.05, height * 0.66, -0.02);
-  const p3 = new THREE.Vector3(0.02, height * 1.00, 0.01);
-
-  const curve = new THREE.CatmullRomCurve3([p0, p1, p2, p3]);
-
-  // Create tube (we’ll taper it manually)
-  const tubularSegments = 120;
-  const radialSegments = 14;
-
-  const geo = new THREE.TubeGeometry(curve, tubularSegments, 1, radialSegments, false);
-
-  // Taper: thicker at bottom, thinner at top
-  const rBase = 0.052;
-  const rTop  = 0.028;
-
-  const pos = geo.attributes.position;
-  const ringSize = radialSegments + 1;
-  const frames = curve.computeFrenetFrames(tubularSegments, false);
-
-  const tmp = new THREE.Vector3();
-  const c = new THREE.Vector3();
-
-  for (let i = 0; i <= tubularSegments; i++) {
-    const t = i / tubularSegments;
-    const r = THREE.MathUtils.lerp(rBase, rTop, t);
-
-    c.copy(curve.getPointAt(t));
-    const n = frames.normals[i];
-    const b = frames.binormals[i];
-
-    for (let j = 0; j < ringSize; j++) {
-      const idx = i * ringSize + j;
-
-      tmp.fromBufferAttribute(pos, idx).sub(c);
-
-      // Rebuild offset in normal/binormal plane and set its length to r
-      const offN = tmp.dot(n);
-      const offB = tmp.dot(b);
-
-      const rebuilt = new THREE.Vector3()
-        .addScaledVector(n, offN)
-        .addScaledVector(b, offB);
-
-      // if numerical issues happen
-      if (rebuilt.lengthSq() < 1e-8) rebuilt.copy(n).multiplyScalar(r);
-      else rebuilt.setLength(r);
-
-      const finalPos = new THREE.Vector3().copy(c).add(rebuilt);
-      pos.setXYZ(idx, finalPos.x, finalPos.y, finalPos.z);
-    }
-  }
-
-  geo.computeVertexNormals();
-
-  const mesh = new THREE.Mesh(geo, stemMat);
+  const { geometry, curve, radiusAt } = createRoseStemGeometry();
+  const mesh = new THREE.Mesh(geometry, stemMat);
   mesh.userData.curve = curve;
-  mesh.userData.radiusAt = (t) => THREE.MathUtils.lerp(rBase, rTop, t);
-
+  mesh.userData.radiusAt = radiusAt;
   return mesh;
 }
 
+/** Adds the thorns; returns reseed(seed), which re-draws their jitter from the 'thorns' stream. */
 function addThornsToStem(roseGroup, stemMesh, thornMat) {
   const curve = stemMesh.userData.curve;
   const radiusAt = stemMesh.userData.radiusAt;
@@ -1172,6 +1715,7 @@ function addThornsToStem(roseGroup, stemMesh, thornMat) {
   thornGeo.rotateX(Math.PI / 2);         // point along +Z
   thornGeo.translate(0, 0, 0.03);        // move tip outward
 
+  const thorns = [];
   for (let i = 0; i < thornCount; i++) {
     const u = i / (thornCount - 1);
     const t = THREE.MathUtils.lerp(0.18, 0.74, u);
@@ -1201,181 +1745,764 @@ function addThornsToStem(roseGroup, stemMesh, thornMat) {
 
     // point outward
     thorn.lookAt(new THREE.Vector3().copy(thornPos).add(outward));
-
-    // tiny randomness for realism
-    thorn.rotateZ((Math.random() - 0.5) * 0.25);
-    thorn.rotateY((Math.random() - 0.5) * 0.18);
+    thorn.userData.baseQuaternion = thorn.quaternion.clone();
 
     roseGroup.add(thorn);
+    thorns.push(thorn);
   }
+
+  return (seed) => {
+    const rng = createStream(seed, 'thorns');
+    for (const thorn of thorns) {
+      // tiny randomness for realism
+      thorn.quaternion.copy(thorn.userData.baseQuaternion);
+      thorn.rotateZ((rng() - 0.5) * 0.25);
+      thorn.rotateY((rng() - 0.5) * 0.18);
+    }
+  };
 }
 
-function buildRealisticRosePetalsGeometry() {
-  // Helper: positive modulo (JS % keeps sign, which causes spikes for negative theta)
-  const mod = (n, m) => ((n % m) + m) % m;
+// --------------------
+// Interaction
+// --------------------
+function setupInteraction() {
+  renderer.domElement.addEventListener('pointerdown', onPointerDown, { passive: true });
+  renderer.domElement.addEventListener('pointerup', onPointerUp, { passive: true });
+}
 
-  const nu = 28;      // radial divisions
-  const nv = 320;     // angular divisions (576 is heavy and amplifies artifacts)
-  const positions = new Float32Array(nu * nv * 3);
-  const indices = new Uint32Array((nu - 1) * (nv - 1) * 6);
+function setPointerRay(e) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+  const y = -(((e.clientY - rect.top) / rect.height) * 2 - 1);
+  pointerNDC.set(x, y);
 
-  const TWO_PI = Math.PI * 2;
+  raycaster.setFromCamera(pointerNDC, camera);
+}
 
-  let v = 0;
-  for (let i = 0; i < nu; i++) {
-    const x = i / (nu - 1);
+function onPointerDown(e) {
+  // The first tap during a camera flight only skips it
+  if (cameraFlight?.playing) {
+    cameraFlight.skip();
+    pointerDownAt = null;
+    return;
+  }
+  pointerDownAt = { x: e.clientX, y: e.clientY, time: performance.now() };
 
-    for (let j = 0; j < nv; j++) {
-      // Keep your same theta span, but computed cleanly
-      const theta = -TWO_PI + (j / (nv - 1)) * (17 * Math.PI);
+  const now = performance.now();
+  if (now - lastTapTime < CONFIG.tapCooldownMs) return;
+  lastTapTime = now;
 
-      const phi = (Math.PI / 2) * Math.exp(-theta / (8 * Math.PI));
+  setPointerRay(e);
 
-      // FIX: safe modulo so the term is consistent for negative theta
-      const t = mod(3.6 * theta, TWO_PI) / Math.PI; // 0..2
-      const inner = 1 - (t);                        // similar structure to your original
+  const hits = raycaster.intersectObject(rose.colliderMesh, false);
+  if (hits.length) {
+    pointerDownAt = null;
+    onRoseTapped(e);
+  }
+}
 
-      // Original shape term, but stabilized
-      let X =
-        1 - 0.5 * Math.pow(
-          (5 / 4) * (1 - Math.pow(inner, 2)) - 0.25,
-          2
-        );
+// Field flowers react on release, and only to taps, so orbiting the camera doesn't set them off
+function onPointerUp(e) {
+  const down = pointerDownAt;
+  pointerDownAt = null;
+  if (!down || !flowerField) return;
+  if (Math.hypot(e.clientX - down.x, e.clientY - down.y) > 8 || performance.now() - down.time > 500) return;
 
-      // Clamp X so it can't create runaway geometry
-      X = THREE.MathUtils.clamp(X, 0.05, 1.35);
+  setPointerRay(e);
+  const hit = flowerField.pick(raycaster);
+  if (hit) onFlowerTapped(hit, e);
+}
 
-      const y = 1.95653 * (x ** 2) * ((1.27689 * x - 1) ** 2) * Math.sin(phi);
+function onFlowerTapped(hit, e) {
+  const { bloom, color } = flowerField.infoOf(hit.index, hit.id);
 
-      let r = X * (x * Math.sin(phi) + y * Math.cos(phi));
-      let h = X * (x * Math.cos(phi) - y * Math.sin(phi));
+  const family = bouquet?.wants(color);
+  if (family) {
+    flowerField.hide(hit.index, hit.id);
+    petalBurst.emit(bloom, color, Math.ceil(10 * motion.bursts));
+    bouquetPicks.push({ species: flowerField.species[hit.index].id, color });
+    bouquet.take(family);
+    return;
+  }
 
-      // Avoid degeneracy on the axis (r ~ 0 creates long skinny triangles)
-      const eps = 0.002;
-      if (!Number.isFinite(r) || !Number.isFinite(h)) {
-        r = eps;
-        h = 0;
-      } else if (r < eps) {
-        r = eps;
-      }
+  flowerField.react(hit.index, hit.id, clock.elapsedTime);
+  petalBurst.emit(bloom, color, Math.ceil(7 * motion.bursts));
 
-      // Size + placement tuning
-      const scale = 0.30;
-      r *= scale;
-      h *= scale;
+  const now = performance.now();
+  if (!e || triggered || now - lastNoteTime < CONFIG.flowerNoteCooldownMs || Math.random() > CONFIG.flowerNoteChance) return;
+  lastNoteTime = now;
 
-      const px = r * Math.sin(theta);
-      const py = h + 0.62; // aligns closer to stem top (stem top is ~0.65)
-      const pz = r * Math.cos(theta);
+  const notes = TEXT.flowerNotes.split('|').map((n) => n.trim()).filter(Boolean);
+  if (notes.length) showNote(notes[Math.floor(Math.random() * notes.length)], e.clientX, e.clientY);
+}
 
-      const base = v * 3;
-      positions[base] = px;
-      positions[base + 1] = py;
-      positions[base + 2] = pz;
+function showNote(text, x, y) {
+  if (!noteEl || !text) return;
 
-      v++;
-    }
+  noteEl.textContent = text;
+  noteEl.style.left = `${Math.min(Math.max(x, 90), window.innerWidth - 90)}px`;
+  noteEl.style.top = `${Math.max(y - 48, 24)}px`;
+  noteEl.classList.add('show');
+
+  clearTimeout(noteTimer);
+  noteTimer = setTimeout(() => noteEl.classList.remove('show'), 2200);
+}
+
+function onRoseTapped(e) {
+  if (triggered) return;
+
+  // Bouquet mode: the rose waits for the bouquet, then opens the card on its own
+  if (bouquet && !bouquet.complete) {
+    if (e) showNote(TEXT.bouquetFirst, e.clientX, e.clientY);
+    narrate(TEXT.bouquetFirst);
+    return;
   }
+  triggered = true;
 
-  // Indices (two triangles per quad)
-  let k = 0;
-  for (let i = 0; i < nu - 1; i++) {
-    for (let j = 0; j < nv - 1; j++) {
-      const a = i * nv + j;
-      const b = (i + 1) * nv + j;
-      const c = (i + 1) * nv + (j + 1);
-      const d = i * nv + (j + 1);
-
-      indices[k++] = a; indices[k++] = b; indices[k++] = d;
-      indices[k++] = b; indices[k++] = c; indices[k++] = d;
+  bouquet?.hide();
+  hintEl?.classList?.add('hide');
+  cardEl?.classList?.add('show');
+  if (cardEl) cardEl.inert = false;
+
+  // Opened from the keyboard: carry focus into the card before the target goes away
+  if (roseTargetEl && document.activeElement === roseTargetEl) yesBtn?.focus();
+  narrate(TEXT.question);
+
+  audio.chime();
+}
+
+// --------------------
+// Intro flight (?intro=flyover|rise|off)
+// --------------------
+function startIntro(name) {
+  flyCamera(CAMERA_SEQUENCES[name], { position: CONFIG.cameraPos, target: CONFIG.lookAt }, endIntro);
+
+  skipIntroBtn = document.createElement('button');
+  skipIntroBtn.id = 'skip-intro';
+  skipIntroBtn.type = 'button';
+  skipIntroBtn.textContent = TEXT.skipIntro;
+  skipIntroBtn.addEventListener('click', () => cameraFlight?.skip());
+  document.getElementById('overlay')?.appendChild(skipIntroBtn);
+
+  window.addEventListener('keydown', onIntroKey);
+}
+
+function onIntroKey(e) {
+  if (e.key === 'Escape' || e.key === 'Enter' || e.key === ' ') cameraFlight?.skip();
+}
+
+function endIntro() {
+  window.removeEventListener('keydown', onIntroKey);
+  skipIntroBtn?.remove();
+  skipIntroBtn = null;
+  narrateScene();
+}
+
+/** Plays a camera sequence, then hands over to OrbitControls exactly where it ended. */
+function flyCamera(sequence, home, onDone) {
+  if (controls) controls.enabled = false;
+
+  cameraFlight = createCameraSequencer(camera, sequence, {
+    home,
+    onDone: () => {
+      cameraFlight = null;
+      if (controls) {
+        controls.target.copy(home.target);
+        controls.enabled = true;
+        controls.update();
+      }
+      onDone?.();
+    },
+  });
+}
+
+// --------------------
+// Bouquet mini-game (?bouquet)
+// --------------------
+function setupBouquet() {
+  const names = TEXT.bouquetColors.split('|');
+  bouquet = createBouquetGame(bouquetRecipe, {
+    container: document.getElementById('overlay'),
+    title: TEXT.bouquetTitle,
+    labels: Object.fromEntries(Object.keys(BOUQUET_COLORS).map((color, i) => [color, names[i]?.trim() || color])),
+    gatherLabel: TEXT.bouquetGather,
+    skipLabel: TEXT.bouquetSkip,
+    onGather: gatherFlower,
+    onSkip: dropBouquet,
+    onComplete: revealBouquet,
+  });
+  if (hintEl) hintEl.textContent = TEXT.bouquetHint;
+  checkBouquet();
+}
+
+/** Drops the bouquet gate when the field can't fill the recipe (a low flowerCount, a missing color). */
+function checkBouquet() {
+  if (!bouquet || bouquet.complete || !flowerField) return;
+  const available = {};
+  flowerField.eachFlower((index, id, color) => {
+    const family = colorFamily(color);
+    available[family] = (available[family] ?? 0) + 1;
+  });
+  if (bouquet.possible(available)) return;
+
+  console.warn('[bouquet] Not enough flowers of the asked colors in this garden; skipping the bouquet');
+  dropBouquet();
+}
+
+// Skipped (or impossible): the rose opens the card as it would without ?bouquet
+function dropBouquet() {
+  if (!bouquet || bouquet.complete) return;
+  bouquet.hide();
+  bouquet = null;
+  if (hintEl) hintEl.textContent = TEXT.hint;
+}
+
+// Without a pointer: gathers the nearest flower of that color, preferring ones in view
+function gatherFlower(family) {
+  if (!bouquet || !flowerField) return;
+  let best = null;
+  let bestScore = Infinity;
+  flowerField.eachFlower((index, id, color, x, z, drawn) => {
+    if (colorFamily(color) !== family) return;
+    const score = Math.hypot(x - camera.position.x, z - camera.position.z) + (drawn ? 0 : 1e4);
+    if (score < bestScore) {
+      bestScore = score;
+      best = { index, id };
     }
+  });
+  if (best) onFlowerTapped(best);
+}
+
+function revealBouquet() {
+  const group = createBouquetMesh(bouquetPicks);
+  group.position.copy(CONFIG.bouquetPosition);
+  group.scale.setScalar(0.001);
+  scene.add(group);
+
+  bouquetReveal = { group, start: clock.elapsedTime };
+  if (hintEl) hintEl.textContent = TEXT.bouquetDone;
+}
+
+// Grows in, then hands over to the proposal card
+function updateBouquetReveal(t) {
+  if (!bouquetReveal) return;
+  const elapsed = t - bouquetReveal.start;
+
+  const p = Math.min(1, elapsed / 1.2);
+  bouquetReveal.group.scale.setScalar(Math.max(0.001, easeOutBack(p)));
+
+  if (elapsed > 2.4) {
+    bouquetReveal = null;
+    onRoseTapped();
   }
+}
 
-  const geo = new THREE.BufferGeometry();
-  geo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
-  geo.setIndex(new THREE.BufferAttribute(indices, 1));
-  geo.computeVertexNormals();
-  geo.computeBoundingSphere();
+/** The picked flowers, fanned out of a paper wrap with a ribbon. */
+function createBouquetMesh(picks) {
+  const group = new THREE.Group();
+  group.name = 'Bouquet';
+
+  const m = new THREE.Matrix4();
+  const q = new THREE.Quaternion();
+  const axis = new THREE.Vector3();
+  const pos = new THREE.Vector3(0, 0.05, 0);
+  const scale = new THREE.Vector3(0.75, 0.75, 0.75);
+
+  picks.forEach(({ species, color }, k) => {
+    // LOD1 detail is plenty at this size
+    const geo = flowerBuilder(species)(1);
+    const mat = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      roughness: 0.70,
+      metalness: 0.05,
+      vertexColors: true,
+      side: THREE.DoubleSide,
+    });
+
+    // Golden-angle fan, leaning further out towards the rim
+    const a = k * 2.39996;
+    const tilt = k === 0 ? 0 : 0.15 + 0.25 * Math.sqrt(k / picks.length);
+    q.setFromAxisAngle(axis.set(Math.sin(a), 0, -Math.cos(a)), tilt);
+    m.compose(pos, q, scale);
+
+    const flower = new THREE.InstancedMesh(geo, mat, 1);
+    flower.setMatrixAt(0, m);
+    flower.setColorAt(0, color);
+    flower.castShadow = true;
+    applyFlowerShader(flower, { wind: false });
+    group.add(flower);
+  });
+
+  const wrap = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.42, 0.1, 0.9, 18, 1, true),
+    new THREE.MeshStandardMaterial({ color: '#ffd1e0', roughness: 0.85, side: THREE.DoubleSide })
+  );
+  wrap.position.y = 0.5;
+  wrap.castShadow = true;
+
+  const ribbon = new THREE.Mesh(
+    new THREE.TorusGeometry(0.16, 0.035, 8, 24),
+    new THREE.MeshStandardMaterial({ color: '#ff2d55', roughness: 0.4 })
+  );
+  ribbon.rotation.x = Math.PI / 2;
+  ribbon.position.y = 0.3;
 
-  return geo;
+  group.add(wrap, ribbon);
+  return group;
 }
 
 // --------------------
-// Interaction
+// Celebration (after "Si")
 // --------------------
-function setupInteraction() {
-  renderer.domElement.addEventListener('pointerdown', onPointerDown, { passive: true });
-}
+function setupCelebration() {
+  heartFirework = createHeartFirework();
+
+  celebration = createTimeline(CELEBRATION_CUES, {
+    melody: { start: () => audio.melody(CELEBRATION_MELODY) },
+
+    // Bright, fast bursts; reduced-motion mode leaves them out
+    firework: {
+      start: (cue) => {
+        if (!motion.flashes) return;
+        const origin = new THREE.Box3().setFromObject(rose.petalsMesh).getCenter(new THREE.Vector3());
+        heartFirework.burst(origin, cue.scale);
+      },
+    },
 
-function onPointerDown(e) {
-  const now = performance.now();
-  if (now - lastTapTime < CONFIG.tapCooldownMs) return;
-  lastTapTime = now;
+    // Back and up, still looking at the rose; stays inside the orbit limits so the handover doesn't jump
+    pullBack: {
+      start: (cue) => {
+        if (!motion.flights) return;
+        const offset = camera.position.clone().sub(CONFIG.lookAt);
+        offset.y = 0;
+        if (offset.lengthSq() < 1e-6) offset.set(0, 0, 1);
+        offset.setLength(18).setY(8);
+        flyCamera({
+          hold: 0,
+          easing: 'easeInOutSine',
+          homeDuration: cue.duration,
+          keyframes: [{ position: camera.position.toArray(), target: CONFIG.lookAt.toArray() }],
+        }, { position: offset.add(CONFIG.lookAt), target: CONFIG.lookAt.clone() });
+      },
+    },
 
-  const rect = renderer.domElement.getBoundingClientRect();
-  const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-  const y = -(((e.clientY - rect.top) / rect.height) * 2 - 1);
-  pointerNDC.set(x, y);
+    // A ring of opening blooms rolls out from the clearing to the edge of the field
+    bloomWave: {
+      update: (p) => {
+        const radius = lerp(CONFIG.clearRadius - 4, CONFIG.fieldRadius + 8, p);
+        flowerField?.setBloomWave(radius, Math.min(1, (1 - p) * 5) * motion.sway);
+      },
+      end: () => flowerField?.setBloomWave(0, 0),
+    },
 
-  raycaster.setFromCamera(pointerNDC, camera);
+    // Quick swell, hold, slow fade
+    heartSurge: {
+      update: (p) => fallingHearts?.setSurge(Math.min(1, p / 0.1, (1 - p) / 0.45)),
+      end: () => fallingHearts?.setSurge(0),
+    },
+  });
+}
 
-  const hits = raycaster.intersectObject(rose.colliderMesh, false);
-  if (hits.length) onRoseTapped();
+function celebrate() {
+  if (!celebration) setupCelebration();
+  celebration.play();
+  narrate(TEXT.narrateCelebration);
 }
 
-function onRoseTapped() {
-  if (triggered) return;
-  triggered = true;
+// --------------------
+// Heart firework
+// --------------------
+function createHeartFirework(capacity = 220) {
+  const geo = createHeartGeometry(0.35);
+  const mat = new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    side: THREE.DoubleSide,
+    transparent: true,
+    opacity: 0.95,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+  });
 
-  hintEl?.classList?.add('hide');
-  cardEl?.classList?.add('show');
+  const mesh = new THREE.InstancedMesh(geo, mat, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  mesh.name = 'HeartFirework';
+  scene.add(mesh);
 
-  playChime();
+  const palette = ['#ff2d55', '#ff6fae', '#ffd1e0', '#ffd700', '#ff1744'].map((c) => new THREE.Color(c));
+  const sparks = [];
+  const right = new THREE.Vector3();
+  const up = new THREE.Vector3();
+  const facing = new THREE.Quaternion();
+  const unflip = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI);
+  const tmpM = new THREE.Matrix4();
+  const tmpS = new THREE.Vector3();
+
+  /** Sparks fly out along a heart curve drawn in the camera's view plane. */
+  function burst(origin, scale = 1) {
+    right.setFromMatrixColumn(camera.matrixWorld, 0);
+    up.setFromMatrixColumn(camera.matrixWorld, 1);
+    // createHeartGeometry() is flipped about X; undo that so the sparks read upright
+    facing.copy(camera.quaternion).multiply(unflip);
+
+    const count = Math.round(90 * scale) + 20;
+    for (let i = 0; i < count; i++) {
+      const vel = new THREE.Vector3();
+      if (i < count - 20) {
+        const a = (i / (count - 20)) * Math.PI * 2;
+        const hx = 16 * Math.pow(Math.sin(a), 3) / 16;
+        const hy = (13 * Math.cos(a) - 5 * Math.cos(2 * a) - 2 * Math.cos(3 * a) - Math.cos(4 * a)) / 16;
+        vel.addScaledVector(right, hx).addScaledVector(up, hy).multiplyScalar(7 * scale);
+      } else {
+        // A few loose sparks fill the middle
+        vel.randomDirection().multiplyScalar(Math.random() * 3 * scale);
+      }
+
+      sparks.push({
+        pos: origin.clone(),
+        vel,
+        color: palette[i % palette.length],
+        size: (0.6 + Math.random() * 0.5) * scale,
+        age: 0,
+        life: 1.8 + Math.random() * 0.6,
+      });
+    }
+    if (sparks.length > capacity) sparks.splice(0, sparks.length - capacity);
+  }
+
+  function update(delta) {
+    if (!sparks.length && !mesh.count) return;
+    delta = Math.min(delta, 0.05);
+
+    let n = 0;
+    for (let i = sparks.length - 1; i >= 0; i--) {
+      const s = sparks[i];
+      s.age += delta;
+      if (s.age >= s.life) {
+        sparks.splice(i, 1);
+        continue;
+      }
+
+      // Strong drag holds the heart's shape; a little gravity makes it droop as it fades
+      s.vel.multiplyScalar(Math.exp(-2.2 * delta));
+      s.vel.y -= 0.8 * delta;
+      s.pos.addScaledVector(s.vel, delta);
+
+      const fade = 1 - THREE.MathUtils.smoothstep(s.age, s.life * 0.55, s.life);
+      tmpS.setScalar(s.size * fade);
+      tmpM.compose(s.pos, facing, tmpS);
+      mesh.setMatrixAt(n, tmpM);
+      mesh.setColorAt(n, s.color);
+      n++;
+    }
+
+    mesh.count = n;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+  }
+
+  return { mesh, burst, update };
 }
 
 // --------------------
 // UI Buttons
 // --------------------
 function setupButtons() {
+  // Every press after the first replays the celebration
   yesBtn?.addEventListener('click', () => {
     const title = cardEl?.querySelector?.('.title');
-    if (title) title.textContent = 'Wujuuuuuuu!! 💖🌹';
+    if (title) title.textContent = TEXT.success;
     if (noBtn) noBtn.style.display = 'none';
-    if (yesBtn) yesBtn.textContent = 'Te amoooooo 💖😭';
+    if (noStatusEl) noStatusEl.textContent = '';
+    if (yesBtn) yesBtn.textContent = TEXT.successButton;
+    celebrate();
   });
 
-  noBtn?.addEventListener('pointerenter', () => {
-    const x = (Math.random() - 0.5) * 220;
-    const y = (Math.random() - 0.5) * 120;
-    noBtn.style.transform = `translate(${x}px, ${y}px)`;
+  // "No" never runs away: every press (click, tap, keyboard, switch) or mouse
+  // hover makes it plead a little more while "yes" grows. Both buttons stay
+  // where they are in the layout and in the focus order.
+  noBtn?.setAttribute('aria-describedby', 'no-help');
+  const help = document.getElementById('no-help');
+  if (help) help.textContent = TEXT.noHelp;
+
+  noBtn?.addEventListener('click', onNoPressed);
+  noBtn?.addEventListener('pointerenter', (e) => {
+    if (e.pointerType === 'mouse') onNoPressed();
+  });
+}
+
+function onNoPressed() {
+  // Hover and the click that follows it count once
+  const now = performance.now();
+  if (now - lastNoTime < 600) return;
+  lastNoTime = now;
+
+  const stages = TEXT.noStages.split('|').map((n) => n.trim()).filter(Boolean);
+  noStage++;
+
+  const grow = Math.min(1 + noStage * 0.15, 1.9);
+  const shrink = Math.max(1 - noStage * 0.05, 0.85);
+  cardEl?.style.setProperty('--yes-grow', grow.toFixed(2));
+  cardEl?.style.setProperty('--no-shrink', shrink.toFixed(2));
+
+  const text = stages.length ? stages[Math.min(noStage, stages.length) - 1] : TEXT.no;
+  noBtn.textContent = text;
+
+  // Restart the wiggle (a soft glow instead in reduced-motion mode, see CSS)
+  noBtn.classList.remove('pleading');
+  void noBtn.offsetWidth;
+  noBtn.classList.add('pleading');
+
+  if (noStatusEl) noStatusEl.textContent = `${text} ${TEXT.noGrew}`;
+}
+
+// --------------------
+// Keyboard + screen reader
+// --------------------
+function setupAccessibility() {
+  const canvas = renderer.domElement;
+  // "application" hands arrow keys to the page instead of the screen reader's
+  // own navigation, which is what the keyboard orbit needs
+  canvas.tabIndex = 0;
+  canvas.setAttribute('role', 'application');
+  canvas.setAttribute('aria-label', TEXT.sceneLabel);
+
+  if (controls) {
+    keyboardOrbit = createKeyboardOrbit(controls, {
+      isBlocked: () => !!cameraFlight,
+      onSettle: narrateView,
+    });
+  }
+
+  // A real button that sits over the rose, so Tab, Enter and Space reach it
+  roseTargetEl = document.createElement('button');
+  roseTargetEl.id = 'rose-target';
+  roseTargetEl.type = 'button';
+  roseTargetEl.setAttribute('aria-label', TEXT.roseTarget);
+  roseTargetEl.hidden = true;
+  roseTargetEl.addEventListener('click', () => {
+    const r = roseTargetEl.getBoundingClientRect();
+    onRoseTapped({ clientX: r.left + r.width / 2, clientY: r.top });
+  });
+  hintEl?.after(roseTargetEl);
+
+  // The card is see-through until the rose opens it; keep it out of the tab order till then
+  if (cardEl) cardEl.inert = true;
+}
+
+/** Speaks through the overlay's live region. */
+function narrate(text) {
+  if (!narrationEl || !text) return;
+  // Repeating the same sentence still has to count as a change
+  narrationEl.textContent = narrationEl.textContent === text ? `${text}\u00a0` : text;
+}
+
+function narrateScene() {
+  skyPhase = skyPhaseOf(SKY_CONFIG.sunElevation);
+  narrate(`${TEXT.narrateScene} ${TEXT[`narrate${skyPhase}`]}`);
+}
+
+// Which side of the rose the camera looks from (azimuth, as for the sun), and how far
+function narrateView() {
+  const offset = camera.position.clone().sub(controls.target);
+  const sides = TEXT.narrateSides.split('|');
+  const ranges = TEXT.narrateDistances.split('|');
+
+  const sector = Math.round(Math.atan2(offset.x, offset.z) / (Math.PI / 4));
+  const side = sides[(sector + 8) % 8] ?? '';
+  const k = THREE.MathUtils.clamp(
+    (offset.length() - controls.minDistance) / (controls.maxDistance - controls.minDistance), 0, 0.999
+  );
+  const range = ranges[Math.floor(k * ranges.length)] ?? '';
+
+  narrate(TEXT.narrateView.replace('{side}', side.trim()).replace('{distance}', range.trim()));
+}
+
+function skyPhaseOf(elevation) {
+  if (elevation < -6) return 'Night';
+  if (elevation < 2) return 'Twilight';
+  if (elevation < 10) return 'Golden';
+  return 'Day';
+}
+
+// Day cycle, presets and the editor all move the sun; say so when the light changes character
+function updateSkyNarration() {
+  if (skyPhase === null) return;
+  const phase = skyPhaseOf(SKY_CONFIG.sunElevation);
+  if (phase === skyPhase) return;
+  skyPhase = phase;
+  narrate(TEXT[`narrate${phase}`]);
+}
+
+// Keeps the rose button over the rose; it steps aside during camera flights and once the card is up
+function updateRoseTarget() {
+  if (!roseTargetEl || !rose) return;
+
+  const p = roseScreen.copy(roseFocusPoint()).project(camera);
+  const visible = !triggered && !cameraFlight && p.z < 1 && Math.abs(p.x) < 1 && Math.abs(p.y) < 1;
+  if (roseTargetEl.hidden === visible) roseTargetEl.hidden = !visible;
+  if (!visible) return;
+
+  const x = (p.x * 0.5 + 0.5) * window.innerWidth;
+  const y = (-p.y * 0.5 + 0.5) * window.innerHeight;
+  roseTargetEl.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) translate(-50%, -50%)`;
+}
+
+// --------------------
+// Sound (?sound=off starts muted, ?music=<url> adds a track)
+// --------------------
+function setupSound() {
+  // Browsers keep audio locked until the first gesture; any tap or key will do
+  const unlock = () => {
+    audio.unlock();
+    window.removeEventListener('pointerdown', unlock, true);
+    window.removeEventListener('keydown', unlock, true);
+  };
+  window.addEventListener('pointerdown', unlock, true);
+  window.addEventListener('keydown', unlock, true);
+
+  const btn = document.createElement('button');
+  btn.id = 'sound-toggle';
+  btn.type = 'button';
+  btn.textContent = TEXT.mute;
+  btn.setAttribute('aria-pressed', String(audio.muted));
+  btn.addEventListener('click', () => {
+    audio.setMuted(!audio.muted);
+    btn.setAttribute('aria-pressed', String(audio.muted));
   });
+  document.getElementById('settings')?.appendChild(btn);
 }
 
 // --------------------
-// Audio
+// Reduced motion (system setting, ?motion=reduce|full, or the toggle)
+// --------------------
+function setupMotion() {
+  motionToggleBtn = document.createElement('button');
+  motionToggleBtn.id = 'motion-toggle';
+  motionToggleBtn.type = 'button';
+  motionToggleBtn.textContent = TEXT.reduceMotion;
+  motionToggleBtn.addEventListener('click', () => motionPref.set(!motionPref.reduced));
+  document.getElementById('settings')?.appendChild(motionToggleBtn);
+
+  applyMotion();
+}
+
+function applyMotion() {
+  motion = motionPref.profile;
+  document.documentElement.classList.toggle('reduce-motion', motionPref.reduced);
+  motionToggleBtn?.setAttribute('aria-pressed', String(motionPref.reduced));
+  if (controls) controls.dampingFactor = motion.damping;
+
+  // Switched on mid-flight: land now instead of finishing the sweep
+  if (!motion.flights) cameraFlight?.skip();
+}
+
 // --------------------
-function playChime() {
+// Garden editor (?edit)
+// --------------------
+const REBUILD_FLOWERS = new Set(['flowerCount', 'fieldRadius', 'flowerPalette']);
+const REBUILD_HEARTS = new Set(['heartCount', 'heartScale']);
+
+function setupEditor() {
+  editor = createEditor({
+    text: TEXT,
+    sky: SKY_CONFIG,
+    cfg: CONFIG,
+    post: post ? postSettings : null,
+    presets: Object.keys(SKY_PRESETS),
+    onPreset: (name) => setSkyPreset(name),
+    onChange: applyEditorChange,
+    getShareLink: () => {
+      const url = new URL(sceneShareUrl(SKY_CONFIG, CONFIG, SCENE_DEFAULTS));
+      url.searchParams.delete('edit');
+      const hash = new URLSearchParams(url.hash.slice(1));
+      hash.delete('edit');
+      url.hash = hash.toString();
+      return url.toString();
+    },
+    getJSON: () => JSON.stringify(snapshotScene(SKY_CONFIG, CONFIG), null, 2),
+    onReset: () => {
+      applySharedScene(snapshotToConfig(SCENE_DEFAULTS), SKY_CONFIG, CONFIG);
+      applySkyConfig();
+      rose.setHeight(CONFIG.roseHeight);
+      reseedGarden();
+    },
+  });
+}
+
+function applyEditorChange(target, prop) {
+  if (target === 'post') {
+    applyPostQuality();
+  } else if (target === 'sky') {
+    skyTransition = null;
+    applySkyConfig();
+  } else if (prop === 'seed') {
+    reseedGarden();
+  } else if (REBUILD_FLOWERS.has(prop)) {
+    rebuildFlowerField();
+  } else if (REBUILD_HEARTS.has(prop)) {
+    rebuildHearts();
+  } else if (prop === 'roseHeight') {
+    rose.setHeight(CONFIG.roseHeight);
+  }
+}
+
+// Everything the seed feeds, so the editor shows exactly what a shared link will boot into
+function reseedGarden() {
+  rebuildFlowerField();
+  rebuildGrass();
+  rebuildHearts();
+  rose.reseed(CONFIG.seed);
+}
+
+// While a slider drags, only the newest layout gets built
+async function rebuildFlowerField() {
+  const build = ++flowerBuild;
   try {
-    const AudioCtx = window.AudioContext || window.webkitAudioContext;
-    const ctx = new AudioCtx();
+    const layout = await generator.run('flowerLayout', flowerLayoutParams());
+    if (build !== flowerBuild) return;
+
+    flowerField?.dispose();
+    flowerField = createFlowerField(layout);
+    flowerField.setDensity(quality.flowers);
+    checkBouquet();
+  } catch (err) {
+    console.error('[editor] Flower field rebuild failed:', err);
+  }
+}
 
-    const o = ctx.createOscillator();
-    const g = ctx.createGain();
+function flowerLayoutParams() {
+  return {
+    seed: CONFIG.seed,
+    count: CONFIG.flowerCount,
+    clearRadius: CONFIG.clearRadius,
+    fieldRadius: CONFIG.fieldRadius,
+    palette: CONFIG.flowerPalette,
+    chunkSize: CONFIG.flowerChunkSize,
+  };
+}
 
-    o.type = 'sine';
-    o.frequency.setValueAtTime(880, ctx.currentTime);
-    o.frequency.exponentialRampToValueAtTime(1320, ctx.currentTime + 0.08);
-    o.frequency.exponentialRampToValueAtTime(660, ctx.currentTime + 0.22);
+async function rebuildGrass() {
+  const build = ++grassBuild;
+  try {
+    const grassData = await generator.run('grass', grassParams());
+    if (build !== grassBuild) return;
+    ground.userData.setGrass(grassData);
+  } catch (err) {
+    console.error('[editor] Grass rebuild failed:', err);
+  }
+}
 
-    g.gain.setValueAtTime(0.0001, ctx.currentTime);
-    g.gain.exponentialRampToValueAtTime(0.10, ctx.currentTime + 0.02);
-    g.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + 0.28);
+function grassParams() {
+  return { seed: CONFIG.seed, count: CONFIG.grassCount };
+}
 
-    o.connect(g).connect(ctx.destination);
-    o.start();
-    o.stop(ctx.currentTime + 0.3);
-    o.onended = () => ctx.close();
-  } catch {}
+function rebuildHearts() {
+  fallingHearts?.dispose();
+  fallingHearts = createFallingHearts();
+  fallingHearts.setDensity(quality.hearts);
 }
 
 // --------------------
@@ -1385,34 +2512,71 @@ function animate() {
   requestAnimationFrame(animate);
   const delta = clock.getDelta();
   const t = clock.getElapsedTime();
+
+  // Camera first, so culling and shadows fit this frame's view
+  if (cameraFlight) {
+    cameraFlight.update(delta);
+  } else if (controls) {
+    keyboardOrbit?.update(delta);
+    controls.update();
+  } else {
+    camera.lookAt(CONFIG.lookAt);
+  }
+  updateRoseTarget();
   
+  // Ambient animation runs on its own clock, so reduced-motion mode can slow it without jumps
+  motionTime += delta * motion.pace;
+
   if (CONFIG.enableWind && flowerField) {
-    flowerField.updateWind(t);
+    flowerField.updateWind(motionTime, motion.sway);
   }
+  ground?.userData.update(motionTime, motion.sway);
+  flowerField?.update(camera, t);
+  petalBurst?.update(delta);
+  updateBouquetReveal(t);
+  celebration?.update(delta);
+  heartFirework?.update(delta);
+
+  audio.update({
+    windTime: motionTime,
+    windStrength: CONFIG.enableWind ? motion.sway : 0,
+    sunElevation: SKY_CONFIG.sunElevation,
+  });
 
   if (rose) {
-    rose.animateRose(t);
+    rose.animateRose(motionTime, motion.breath);
   }
 
   if (fallingHearts) {
-    fallingHearts.update(delta, t);
+    fallingHearts.update(delta * motion.hearts, motionTime);
+  }
+
+  // A running day cycle owns the sky; manual presets only apply while it's off
+  if (dayCycle) {
+    if (dayCycle.update(t, SKY_CONFIG)) applySkyConfig();
+  } else {
+    updateSkyTransition(delta);
   }
+  updateSkyNarration();
+  skyDome.material.uniforms.uTime.value = motionTime;
+  skyDome.position.copy(camera.position);
+
+  updateShadows();
 
-  if (!controls) camera.lookAt(CONFIG.lookAt);
-  if (controls) controls.update();
+  governor?.sample(delta);
 
-  renderer.render(scene, camera);
+  if (postActive()) {
+    post.setFocus(camera.position.distanceTo(roseFocusPoint()));
+    post.render(delta);
+  } else {
+    renderer.render(scene, camera);
+  }
 }
 
 // --------------------
 // Helpers
 // --------------------
 function lerp(a, b, t) { return a + (b - a) * t; }
-function easeOutCubic(t) { return 1 - Math.pow(1 - t, 3); }
-function easeOutBack(t) {
-  const c1 = 1.70158, c3 = c1 + 1;
-  return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
-}
 
 function isMobile() {
   return /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
@@ -1429,10 +2593,12 @@ function hasWebGL() {
   }
 }
 
+// Same structure as index.html; the text always comes from TEXT via applyPersonalization()
 function ensureOverlayElements() {
   const overlay = document.getElementById('overlay') || (() => {
     const d = document.createElement('div');
     d.id = 'overlay';
+    d.setAttribute('aria-live', 'polite');
     document.body.appendChild(d);
     return d;
   })();
@@ -1440,26 +2606,61 @@ function ensureOverlayElements() {
   if (!document.getElementById('hint')) {
     const hint = document.createElement('div');
     hint.id = 'hint';
-    hint.textContent = 'Mi Rosa 🌹';
+    hint.setAttribute('role', 'note');
     overlay.appendChild(hint);
   }
 
   if (!document.getElementById('card')) {
     const card = document.createElement('div');
     card.id = 'card';
+    card.setAttribute('role', 'dialog');
+    card.setAttribute('aria-modal', 'false');
     card.innerHTML = `
-      <div class="title">Will you be my valentine?</div>
+      <div class="title"></div>
       <div class="actions">
-        <button id="yes" type="button">Si 💖</button>
-        <button id="no" type="button">No 🙈</button>
-      </div>`;
+        <button id="yes" type="button"></button>
+        <button id="no" type="button"></button>
+      </div>
+      <p id="no-help" class="sr-only"></p>
+      <div id="no-status" class="sr-only" role="status"></div>`;
     overlay.appendChild(card);
   }
 
+  if (!document.getElementById('narration')) {
+    const narration = document.createElement('p');
+    narration.id = 'narration';
+    narration.className = 'sr-only';
+    overlay.appendChild(narration);
+  }
+
+  if (!document.getElementById('note')) {
+    const note = document.createElement('div');
+    note.id = 'note';
+    note.setAttribute('role', 'status');
+    overlay.appendChild(note);
+  }
+
+  if (!document.getElementById('settings')) {
+    const settings = document.createElement('div');
+    settings.id = 'settings';
+    overlay.appendChild(settings);
+  }
+
+  if (!document.getElementById('loading')) {
+    const loading = document.createElement('div');
+    loading.id = 'loading';
+    loading.innerHTML = `
+      <div>
+        <div class="loading-label"></div>
+        <div class="loading-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0"><span></span></div>
+      </div>`;
+    overlay.appendChild(loading);
+  }
+
   if (!document.getElementById('fallback')) {
     const fb = document.createElement('div');
     fb.id = 'fallback';
-    fb.textContent = 'Your browser doesn\'t support WebGL. Will you be my valentine? 💖';
+    fb.setAttribute('role', 'note');
     overlay.appendChild(fb);
   }
 }
\ No newline at end of file
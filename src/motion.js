@@ -0,0 +1,65 @@
+// src/motion.js
+
+/**
+ * Reduced-motion mode.
+ * Follows the system "reduce motion" setting unless the link (?motion=reduce
+ * or ?motion=full) or the on-screen toggle says otherwise. The scene reads a
+ * profile: how fast and how far the ambient animation moves, and whether the
+ * big effects (camera flights, fireworks) play at all.
+ */
+
+// pace: speed of ambient animation (wind, grass, rose, stars); sway: how far the wind bends things
+// breath: rose sway/breathing amplitude; hearts: falling-heart speed; bursts: petal burst size
+// damping: OrbitControls damping factor (higher stops sooner); flights/flashes: scripted camera moves, fireworks
+export const MOTION_PROFILES = {
+  full:    { pace: 1,   sway: 1,    breath: 1, hearts: 1,    bursts: 1,    damping: 0.05, flights: true,  flashes: true },
+  reduced: { pace: 0.4, sway: 0.25, breath: 0, hearts: 0.35, bursts: 0.25, damping: 0.3,  flights: false, flashes: false },
+};
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+/** `?motion=reduce|full`; anything else (or nothing) follows the system. */
+export function readMotion(loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const value = hash.get('motion') ?? search.get('motion');
+
+  if (value === 'reduce' || value === 'reduced') return true;
+  if (value === 'full') return false;
+  return null;
+}
+
+/**
+ * @param {object} opts
+ * @param {boolean | null} [opts.override]  from readMotion(); null follows the system
+ * @param {(reduced: boolean) => void} [opts.onChange]
+ */
+export function createMotionPreference({ override = null, onChange } = {}) {
+  const media = typeof window.matchMedia === 'function' ? window.matchMedia(QUERY) : null;
+  let manual = override;
+  let reduced = manual ?? !!media?.matches;
+
+  function apply() {
+    const next = manual ?? !!media?.matches;
+    if (next === reduced) return;
+    reduced = next;
+    onChange?.(reduced);
+  }
+
+  media?.addEventListener?.('change', apply);
+
+  return {
+    get reduced() { return reduced; },
+    get profile() { return reduced ? MOTION_PROFILES.reduced : MOTION_PROFILES.full; },
+
+    /** Pins the mode by hand; null goes back to following the system. */
+    set(value) {
+      manual = value;
+      apply();
+    },
+
+    dispose() {
+      media?.removeEventListener?.('change', apply);
+    },
+  };
+}
@@ -0,0 +1,94 @@
+// src/personalize.js
+
+/**
+ * Link-driven personalization of everything the recipient reads.
+ * One deployed build serves every couple: the text comes from the query string
+ * or the hash (hash wins), on top of the locale's message catalog, e.g.
+ *   ?name=Ana&yes=Claro%20💖  or  #name=Ana&success=Yay!
+ */
+
+// URL param -> text key. Short aliases keep shared links compact.
+const PARAMS = {
+  name: 'name', to: 'name',
+  hint: 'hint',
+  question: 'question', q: 'question',
+  yes: 'yes',
+  no: 'no',
+  success: 'success', done: 'success',
+  successButton: 'successButton', love: 'successButton',
+  notes: 'flowerNotes',
+  nos: 'noStages',
+};
+
+const MAX_LEN = { name: 40, flowerNotes: 400, noStages: 400 };
+const DEFAULT_MAX_LEN = 160;
+
+// --------------------
+// Read
+// --------------------
+/**
+ * @param {Object<string, string>} messages  the locale's catalog (see i18n.js)
+ * @returns {Object<string, string>} the catalog with the link's text on top and {name} filled in
+ */
+export function readPersonalization(messages, loc = window.location) {
+  const params = mergedParams(loc);
+  const text = { ...messages, name: '' };
+  let customQuestion = false;
+
+  for (const [param, key] of Object.entries(PARAMS)) {
+    if (!params.has(param)) continue;
+    const value = sanitizeText(params.get(param), MAX_LEN[key] ?? DEFAULT_MAX_LEN);
+    if (!value) continue;
+    text[key] = value;
+    if (key === 'question') customQuestion = true;
+  }
+
+  if (text.name && !customQuestion) text.question = text.questionNamed;
+
+  // {name} placeholders work in every string
+  for (const key of Object.keys(text)) {
+    if (key === 'name') continue;
+    text[key] = fillName(text[key], text.name);
+  }
+
+  return text;
+}
+
+function mergedParams(loc) {
+  const merged = new URLSearchParams(loc.search || '');
+  const hash = (loc.hash || '').replace(/^#/, '');
+  for (const [k, v] of new URLSearchParams(hash)) merged.set(k, v);
+  return merged;
+}
+
+function fillName(str, name) {
+  return str.replace(/\{name\}/g, name || '').replace(/^[\s,]+/, '');
+}
+
+/**
+ * Text from a link is untrusted. It is only ever written through textContent,
+ * but we still strip control/bidi-override chars, collapse whitespace and cap length.
+ */
+export function sanitizeText(value, maxLen = DEFAULT_MAX_LEN) {
+  if (typeof value !== 'string') return '';
+  const clean = value
+    .replace(/[\u0000-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return Array.from(clean).slice(0, maxLen).join('');
+}
+
+// --------------------
+// Apply
+// --------------------
+export function applyPersonalization(text, { hintEl, cardEl, yesBtn, noBtn, fallbackEl }) {
+  if (hintEl) hintEl.textContent = text.hint;
+  const title = cardEl?.querySelector?.('.title');
+  if (title) title.textContent = text.question;
+  cardEl?.setAttribute?.('aria-label', text.cardLabel);
+  if (yesBtn) yesBtn.textContent = text.yes;
+  if (noBtn) noBtn.textContent = text.no;
+  if (fallbackEl) fallbackEl.textContent = text.fallback;
+
+  document.title = text.name ? text.pageTitleNamed : text.pageTitle;
+}
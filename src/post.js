@@ -0,0 +1,217 @@
+// src/post.js
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { BokehPass } from 'three/examples/jsm/postprocessing/BokehPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { LUTPass } from 'three/examples/jsm/postprocessing/LUTPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { FilmPass } from 'three/examples/jsm/postprocessing/FilmPass.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+
+/**
+ * Optional post-processing chain, off unless the link asks for it (?post):
+ *   scene -> bloom -> depth of field -> tone map/sRGB -> LUT grade -> vignette -> grain
+ * Bloom and DoF work on linear HDR; the grade, vignette and grain work on the
+ * final display-referred image, after OutputPass.
+ */
+
+export const POST_PASSES = ['bloom', 'dof', 'grade', 'vignette', 'grain'];
+
+/** Passes `?post` turns on; mobile keeps the cheap passes and a half-res bloom. */
+export function defaultPostSettings(mobile) {
+  return {
+    bloom: true,
+    dof: !mobile,
+    grade: true,
+    vignette: true,
+    grain: !mobile,
+    bloomScale: mobile ? 0.5 : 1.0,
+  };
+}
+
+/**
+ * No `?post` (or `?post=0`) renders straight to the screen; `?post` or
+ * `?post=1` turns the chain on, `?post=bloom,grade` turns on only those passes.
+ * @returns {null | ReturnType<typeof defaultPostSettings>} null when disabled
+ */
+export function readPostSettings(mobile, loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const value = hash.get('post') ?? search.get('post');
+
+  if (value === null || value === '0' || value === 'off') return null;
+
+  const settings = defaultPostSettings(mobile);
+  if (value === '' || value === '1') return settings;
+
+  const wanted = value.split(',');
+  for (const name of POST_PASSES) settings[name] = wanted.includes(name);
+  return settings;
+}
+
+/**
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {ReturnType<typeof defaultPostSettings>} settings
+ */
+export function createPostPipeline(renderer, scene, camera, settings) {
+  const size = renderer.getSize(new THREE.Vector2());
+
+  const composer = new EffectComposer(renderer);
+  composer.setPixelRatio(renderer.getPixelRatio());
+  composer.setSize(size.x, size.y);
+
+  const renderPass = new RenderPass(scene, camera);
+
+  // Threshold sits above lit geometry, so mostly the sun disk and the additive hearts glow
+  const bloom = new UnrealBloomPass(
+    new THREE.Vector2(size.x * settings.bloomScale, size.y * settings.bloomScale),
+    0.55, // strength
+    0.6,  // radius
+    0.85  // threshold
+  );
+
+  const dof = new DisplacedBokehPass(scene, camera, {
+    focus: 12.0,
+    aperture: 0.0012,
+    maxblur: 0.006,
+  });
+
+  const output = new OutputPass();
+
+  const grade = new LUTPass({ lut: createRomanticLUT(32), intensity: 0.85 });
+
+  const vignette = new ShaderPass(VignetteShader);
+  vignette.uniforms.offset.value = 0.95;
+  vignette.uniforms.darkness.value = 1.1;
+
+  const grain = new FilmPass(0.18, false);
+
+  for (const pass of [renderPass, bloom, dof, output, grade, vignette, grain]) composer.addPass(pass);
+
+  const passes = { bloom, dof, grade, vignette, grain };
+
+  function setEnabled(name, on) {
+    if (passes[name]) passes[name].enabled = !!on;
+  }
+  for (const name of POST_PASSES) setEnabled(name, settings[name]);
+
+  return {
+    composer,
+    passes,
+    setEnabled,
+    isEnabled: (name) => !!passes[name]?.enabled,
+
+    /** Keep the rose (or whatever is at `distance`) in focus. */
+    setFocus(distance) {
+      dof.uniforms.focus.value = distance;
+    },
+
+    setSize(width, height, pixelRatio) {
+      composer.setPixelRatio(pixelRatio);
+      composer.setSize(width, height);
+    },
+
+    render(delta) {
+      composer.render(delta);
+    },
+
+    dispose() {
+      grade.lut?.dispose();
+      for (const pass of Object.values(passes)) pass.dispose?.();
+      output.dispose();
+      composer.dispose();
+    },
+  };
+}
+
+// --------------------
+// Depth of field
+// --------------------
+/**
+ * BokehPass draws its depth with one override material, which skips the
+ * vertex shaders that move things (wind sway, falling hearts): the blur would
+ * follow where things were built, not where they are. Meshes that move in
+ * their vertex shader carry `userData.depthMaterial` (RGBA-packed, same
+ * displacement), and this pass draws them with it.
+ */
+class DisplacedBokehPass extends BokehPass {
+  render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+    const swapped = [];
+    this.scene.traverseVisible((object) => {
+      const depthMaterial = object.userData.depthMaterial;
+      if (!depthMaterial) return;
+      depthMaterial.allowOverride = false;
+      swapped.push([object, object.material]);
+      object.material = depthMaterial;
+    });
+
+    try {
+      super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+    } finally {
+      for (const [object, material] of swapped) object.material = material;
+    }
+  }
+}
+
+// --------------------
+// Color grade
+// --------------------
+/**
+ * Procedural 3D LUT (no image asset needed): plum-lifted shadows,
+ * warm rosy highlights, a gentle S-curve and a touch more saturation.
+ * Input and output are display (sRGB) values.
+ */
+export function createRomanticLUT(size = 32) {
+  const data = new Uint8Array(size * size * size * 4);
+  const max = size - 1;
+
+  let i = 0;
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const [R, G, B] = gradeColor(r / max, g / max, b / max);
+        data[i++] = Math.round(R * 255);
+        data[i++] = Math.round(G * 255);
+        data[i++] = Math.round(B * 255);
+        data[i++] = 255;
+      }
+    }
+  }
+
+  const tex = new THREE.Data3DTexture(data, size, size, size);
+  tex.format = THREE.RGBAFormat;
+  tex.type = THREE.UnsignedByteType;
+  tex.minFilter = THREE.LinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.wrapS = tex.wrapT = tex.wrapR = THREE.ClampToEdgeWrapping;
+  tex.unpackAlignment = 1;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+function gradeColor(r, g, b) {
+  const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+  // Saturation +8%
+  r = luma + (r - luma) * 1.08;
+  g = luma + (g - luma) * 1.08;
+  b = luma + (b - luma) * 1.08;
+
+  // Shadows lean plum, highlights lean warm rose
+  const shadow = (1 - luma) * (1 - luma);
+  const highlight = luma * luma;
+  r += 0.035 * shadow + 0.03 * highlight;
+  g += 0.008 * shadow + 0.005 * highlight;
+  b += 0.045 * shadow - 0.03 * highlight;
+
+  // Soft S-curve
+  const curve = (x) => {
+    x = Math.min(1, Math.max(0, x));
+    return x + 0.12 * x * (1 - x) * (2 * x - 1);
+  };
+  return [curve(r), curve(g), curve(b)];
+}
@@ -0,0 +1,50 @@
+// src/random.js
+
+/**
+ * Seeded randomness, one named stream per procedural step.
+ * Each stream is seeded from CONFIG.seed *and* its name, so a seed rebuilds the
+ * whole garden, and a step that starts drawing more numbers (a new species, a
+ * few more hearts) leaves every other step's numbers where they were.
+ * Streams in use: 'flowers' (where each flower stands), 'species' (which kind
+ * grows there), 'flower-looks' (size, tilt, tint, sway), 'daisy' (petal
+ * jitter), 'grass', 'hearts', 'thorns'.
+ * Things that only happen because the viewer did something (petal bursts,
+ * fireworks, which note a flower says) aren't part of the scene and stay on
+ * Math.random.
+ */
+
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a |= 0; a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** 32-bit seed for a named stream: FNV-1a of the name, mixed into the seed and avalanched. */
+export function streamSeed(seed, name) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < name.length; i++) {
+    h ^= name.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= seed >>> 0;
+  // murmur3 finalizer, so neighbouring seeds give unrelated streams
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * A [0, 1) generator for one step of the build, plus `range(min, max)`.
+ * @param {number} seed  CONFIG.seed
+ * @param {string} name  the step drawing from it
+ * @returns {(() => number) & {range: (min: number, max: number) => number}}
+ */
+export function createStream(seed, name) {
+  const next = mulberry32(streamSeed(seed, name));
+  next.range = (min, max) => min + next() * (max - min);
+  return next;
+}
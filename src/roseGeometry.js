@@ -0,0 +1,206 @@
+// src/roseGeometry.js
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+/**
+ * Geometry for the rose in the clearing: stem and compound leaves. (Its
+ * petals are generated in gardenData.js, off the main thread.)
+ * Pure geometry, no materials or DOM, so the test suite builds it in Node.
+ */
+
+// --------------------
+// Leaflet Geometry for Realistic Serrated Leaflet
+// --------------------
+export function createLeafletGeometry(length = 0.15, width = 0.07, numTeeth = 6) {
+  const shape = new THREE.Shape();
+  const halfWidth = width / 2;
+  const toothDepth = 0.008;
+
+  // Left side points (base to tip)
+  const leftPoints = [new THREE.Vector2(0, 0)];
+  for (let i = 1; i < numTeeth; i++) {
+    const t = i / numTeeth;
+    const y = t * length;
+    const w = halfWidth * Math.sin(Math.PI * t);
+    leftPoints.push(new THREE.Vector2(-w, y));
+
+    const tt = (i - 0.5) / numTeeth;
+    const ty = tt * length;
+    const tw = halfWidth * Math.sin(Math.PI * tt);
+    leftPoints.push(new THREE.Vector2(-tw - toothDepth, ty));
+  }
+  leftPoints.push(new THREE.Vector2(0, length));
+
+  // Right side points (tip to base, mirrored)
+  const rightPoints = [];
+  for (let i = 0; i < leftPoints.length; i++) {
+    const p = leftPoints[leftPoints.length - 1 - i].clone();
+    p.x = -p.x;
+    rightPoints.push(p);
+  }
+
+  // Combine points
+  const allPoints = leftPoints.concat(rightPoints.slice(1)); // Avoid duplicate base
+
+  // Build shape
+  shape.moveTo(allPoints[0].x, allPoints[0].y);
+  for (let i = 1; i < allPoints.length; i++) {
+    shape.lineTo(allPoints[i].x, allPoints[i].y);
+  }
+
+  const geo = new THREE.ShapeGeometry(shape, 8); // Curve segments for smooth edges
+
+  // Add slight curvature for realism
+  const pos = geo.attributes.position;
+  for (let i = 0; i < pos.count; i++) {
+    const x = pos.getX(i);
+    const y = pos.getY(i);
+    const curve = Math.sin((y / length) * Math.PI) * x * 1.2; // Bend along length
+    pos.setZ(i, curve);
+  }
+  pos.needsUpdate = true;
+  geo.computeVertexNormals();
+
+  return geo;
+}
+
+// --------------------
+// Compound Leaf Geometry (Petiole + Leaflets)
+// --------------------
+export function createCompoundLeafGeo(basePosition, baseRotation, petioleLength = 0.1, leafletLength = 0.15, leafletWidth = 0.07, numTeeth = 8) {
+  const geos = [];
+
+  // Petiole (small stem)
+  const petioleGeo = new THREE.CylinderGeometry(0.008, 0.012, petioleLength, 8);
+  petioleGeo.translate(0, petioleLength / 2, 0);
+  geos.push(petioleGeo);
+
+  // Base leaflet geometry
+  const leafletGeo = createLeafletGeometry(leafletLength, leafletWidth, numTeeth);
+
+  // Terminal leaflet (straight)
+  const terminal = leafletGeo.clone();
+  terminal.translate(0, petioleLength, 0);
+  geos.push(terminal);
+
+  // Side leaflet 1 (angled left)
+  const side1 = leafletGeo.clone();
+  side1.rotateZ(0.8); // ~45 degrees
+  side1.translate(-0.04, petioleLength * 0.6, 0);
+  geos.push(side1);
+
+  // Side leaflet 2 (angled right)
+  const side2 = leafletGeo.clone();
+  side2.rotateZ(-0.8);
+  side2.translate(0.04, petioleLength * 0.6, 0);
+  geos.push(side2);
+
+  // Merge into single geometry
+  const merged = mergeGeometries(geos);
+
+  // Apply base rotation and translation
+  if (baseRotation.y) merged.rotateY(baseRotation.y);
+  if (baseRotation.z) merged.rotateZ(baseRotation.z);
+  merged.translate(basePosition.x, basePosition.y, basePosition.z);
+
+  return merged;
+}
+
+// --------------------
+// Rose leaves
+// --------------------
+/** Three compound leaves up the stem, merged. */
+export function createRoseLeavesGeometry() {
+  const leaf1 = createCompoundLeafGeo(
+    new THREE.Vector3(0.08, 0.28, 0.03),
+    new THREE.Euler(0, 0, -0.9),
+    0.1, 0.15, 0.07, 8
+  );
+
+  const leaf2 = createCompoundLeafGeo(
+    new THREE.Vector3(-0.075, 0.38, -0.025),
+    new THREE.Euler(0, Math.PI, 0.85),
+    0.1, 0.14, 0.065, 8
+  );
+
+  const leaf3 = createCompoundLeafGeo(
+    new THREE.Vector3(0.02, 0.45, 0.08),
+    new THREE.Euler(0, Math.PI * 0.5, -0.7),
+    0.1, 0.13, 0.06, 7
+  );
+
+  const leavesGeo = mergeGeometries([leaf1, leaf2, leaf3], false);
+  leavesGeo.computeVertexNormals();
+  return leavesGeo;
+}
+
+// --------------------
+// Rose stem
+// --------------------
+/**
+ * The rose's stem: a tapered tube along a subtle S curve. `curve` and
+ * `radiusAt(t)` let thorns and leaves sit on its surface.
+ * @returns {{geometry: THREE.TubeGeometry, curve: THREE.CatmullRomCurve3, radiusAt: (t: number) => number}}
+ */
+export function createRoseStemGeometry() {
+  const height = 0.65;
+
+  // Realistic bend (subtle S curve)
+  const p0 = new THREE.Vector3(0, 0.00, 0);
+  const p1 = new THREE.Vector3(0.06, height * 0.33, 0.02);
+  const p2 = new THREE.Vector3(-0.05, height * 0.66, -0.02);
+  const p3 = new THREE.Vector3(0.02, height * 1.00, 0.01);
+
+  const curve = new THREE.CatmullRomCurve3([p0, p1, p2, p3]);
+
+  // Create tube (we’ll taper it manually)
+  const tubularSegments = 120;
+  const radialSegments = 14;
+
+  const geo = new THREE.TubeGeometry(curve, tubularSegments, 1, radialSegments, false);
+
+  // Taper: thicker at bottom, thinner at top
+  const rBase = 0.052;
+  const rTop  = 0.028;
+
+  const pos = geo.attributes.position;
+  const ringSize = radialSegments + 1;
+  const frames = curve.computeFrenetFrames(tubularSegments, false);
+
+  const tmp = new THREE.Vector3();
+  const c = new THREE.Vector3();
+
+  for (let i = 0; i <= tubularSegments; i++) {
+    const t = i / tubularSegments;
+    const r = THREE.MathUtils.lerp(rBase, rTop, t);
+
+    c.copy(curve.getPointAt(t));
+    const n = frames.normals[i];
+    const b = frames.binormals[i];
+
+    for (let j = 0; j < ringSize; j++) {
+      const idx = i * ringSize + j;
+
+      tmp.fromBufferAttribute(pos, idx).sub(c);
+
+      // Rebuild offset in normal/binormal plane and set its length to r
+      const offN = tmp.dot(n);
+      const offB = tmp.dot(b);
+
+      const rebuilt = new THREE.Vector3()
+        .addScaledVector(n, offN)
+        .addScaledVector(b, offB);
+
+      // if numerical issues happen
+      if (rebuilt.lengthSq() < 1e-8) rebuilt.copy(n).multiplyScalar(r);
+      else rebuilt.setLength(r);
+
+      const finalPos = new THREE.Vector3().copy(c).add(rebuilt);
+      pos.setXYZ(idx, finalPos.x, finalPos.y, finalPos.z);
+    }
+  }
+
+  geo.computeVertexNormals();
+
+  return { geometry: geo, curve, radiusAt: (t) => THREE.MathUtils.lerp(rBase, rTop, t) };
+}
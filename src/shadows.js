@@ -0,0 +1,111 @@
+// src/shadows.js
+import * as THREE from 'three';
+
+/**
+ * Sun shadow subsystem.
+ * low    — rose only, small fixed frustum around the clearing
+ * medium — frustum fitted to the near view slice, flower field casts too
+ * high   — bigger map, longer slice, soft PCF
+ */
+export const SHADOW_TIERS = {
+  off:    { enabled: false },
+  low:    { enabled: true, mapSize: 1024, type: THREE.PCFShadowMap,     fitted: false, flowers: false },
+  medium: { enabled: true, mapSize: 2048, type: THREE.PCFShadowMap,     fitted: true,  flowers: true, distance: 40 },
+  high:   { enabled: true, mapSize: 4096, type: THREE.PCFSoftShadowMap, fitted: true,  flowers: true, distance: 70 },
+};
+
+// Ascending cost; the performance governor relies on this order
+export const SHADOW_TIER_NAMES = Object.keys(SHADOW_TIERS);
+
+/** Picks a tier from what the device reports; `?shadows=<tier>` overrides. */
+export function pickShadowTier(renderer, mobile, loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const forced = hash.get('shadows') || search.get('shadows');
+  if (Object.hasOwn(SHADOW_TIERS, forced)) return forced;
+
+  if (mobile) return 'low';
+
+  const cores = navigator.hardwareConcurrency || 4;
+  const memory = navigator.deviceMemory || 8; // not reported outside Chromium
+  const maxTex = renderer.capabilities.maxTextureSize;
+
+  if (cores >= 8 && memory >= 8 && maxTex >= 16384) return 'high';
+  if (cores >= 4 && maxTex >= 8192) return 'medium';
+  return 'low';
+}
+
+// --------------------
+// Fitted sun frustum
+// --------------------
+const corner = new THREE.Vector3();
+const sphere = new THREE.Sphere();
+const lightView = new THREE.Matrix4();
+const lightViewInv = new THREE.Matrix4();
+const ORIGIN = new THREE.Vector3();
+const UP = new THREE.Vector3(0, 1, 0);
+const Z_UP = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Fits `light`'s orthographic shadow camera around the camera's view slice
+ * [near, distance]. Uses the slice's bounding sphere so the frustum size is
+ * stable under rotation, and snaps its center to whole shadow-map texels so
+ * edges don't shimmer as the camera moves.
+ * @param {THREE.DirectionalLight} light
+ * @param {THREE.Vector3} lightDir unit vector pointing towards the light
+ */
+export function fitShadowToView(light, lightDir, camera, distance) {
+  const tanY = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+  const tanX = tanY * camera.aspect;
+
+  // Sphere around the slice, measured in camera space so it never changes size
+  const mid = (camera.near + distance) / 2;
+  sphere.center.set(0, 0, -mid);
+  sphere.radius = 0;
+  for (const z of [camera.near, distance]) {
+    corner.set(tanX * z, tanY * z, -z);
+    sphere.radius = Math.max(sphere.radius, corner.distanceTo(sphere.center));
+  }
+  sphere.center.applyMatrix4(camera.matrixWorld);
+
+  const radius = Math.ceil(sphere.radius);
+  const texel = (radius * 2) / light.shadow.mapSize.x;
+
+  lightView.lookAt(ORIGIN, lightDir, Math.abs(lightDir.y) > 0.99 ? Z_UP : UP);
+  lightViewInv.copy(lightView).invert();
+
+  const c = sphere.center.applyMatrix4(lightViewInv);
+  c.x = Math.floor(c.x / texel) * texel;
+  c.y = Math.floor(c.y / texel) * texel;
+  c.applyMatrix4(lightView);
+
+  const back = radius + 60; // room for tall casters outside the slice
+  light.target.position.copy(c);
+  light.position.copy(c).addScaledVector(lightDir, back);
+  light.target.updateMatrixWorld();
+
+  const cam = light.shadow.camera;
+  cam.left = -radius;
+  cam.right = radius;
+  cam.top = radius;
+  cam.bottom = -radius;
+  cam.near = 0.5;
+  cam.far = back + radius;
+  cam.updateProjectionMatrix();
+}
+
+/** Fixed frustum around a point (low tier: just the rose). */
+export function fitShadowToPoint(light, lightDir, center, radius) {
+  light.target.position.copy(center);
+  light.position.copy(center).addScaledVector(lightDir, 60);
+  light.target.updateMatrixWorld();
+
+  const cam = light.shadow.camera;
+  cam.left = -radius;
+  cam.right = radius;
+  cam.top = radius;
+  cam.bottom = -radius;
+  cam.near = 0.5;
+  cam.far = 60 + radius * 2;
+  cam.updateProjectionMatrix();
+}
@@ -0,0 +1,237 @@
+// src/shareConfig.js
+
+/**
+ * Shareable scene configuration.
+ * A designed garden travels in the URL fragment as `#g=<version>.<payload>`,
+ * where payload is base64url JSON of short keys (only values that differ
+ * from the defaults). Everything read back is validated and clamped.
+ */
+
+export const SHARE_VERSION = 1;
+export const SHARE_PARAM = 'g';
+
+// --------------------
+// Schema: [shortKey, target, prop, type, min, max]
+// target: 'sky' -> SKY_CONFIG, 'cfg' -> CONFIG
+// 'enum' entries list their allowed values in place of min
+// --------------------
+export const SCENE_SCHEMA = [
+  // Garden
+  ['s',  'cfg', 'seed',          'int',     0, 4294967295],
+  ['fc', 'cfg', 'flowerCount',   'int',     0, 30000],
+  ['fr', 'cfg', 'fieldRadius',   'float',  30, 200],
+  ['fp', 'cfg', 'flowerPalette', 'palette', 1, 12],
+  ['rh', 'cfg', 'roseHeight',    'float',   1, 12],
+  ['hc', 'cfg', 'heartCount',    'int',     0, 3000],
+  ['hs', 'cfg', 'heartScale',    'float', 0.05, 2],
+
+  // Sky gradient
+  ['tc', 'sky', 'topColor',      'color'],
+  ['hz', 'sky', 'horizonColor',  'color'],
+  ['bc', 'sky', 'bottomColor',   'color'],
+
+  // Sun
+  ['se', 'sky', 'sunElevation',  'float', -10, 90],
+  ['sa', 'sky', 'sunAzimuth',    'angle',   0, 360],
+  ['si', 'sky', 'sunIntensity',  'float',   0, 3],
+  ['ss', 'sky', 'sunSize',       'float', 0.005, 0.15],
+  ['gi', 'sky', 'glowIntensity', 'float',   0, 3],
+
+  // Atmosphere
+  ['as', 'sky', 'atmosphericScatter', 'float', 0, 1],
+  ['hf', 'sky', 'horizonFalloff',     'float', 1, 10],
+
+  // Lighting
+  ['ai', 'sky', 'ambientIntensity',  'float', 0, 2],
+  ['sl', 'sky', 'sunLightIntensity', 'float', 0, 4],
+  ['hi', 'sky', 'hemiIntensity',     'float', 0, 2],
+
+  // Fog + tone mapping
+  ['fd', 'sky', 'fogDensity', 'float', 0, 0.05],
+  ['fo', 'sky', 'fogColor',   'color'],
+  ['ex', 'sky', 'exposure',   'float', 0.2, 3],
+
+  // Physical sky model
+  ['sm', 'sky', 'skyModel',        'enum', ['gradient', 'physical']],
+  ['tb', 'sky', 'turbidity',       'float', 1, 20],
+  ['ry', 'sky', 'rayleigh',        'float', 0, 4],
+  ['mc', 'sky', 'mieCoefficient',  'float', 0, 0.1],
+  ['mg', 'sky', 'mieDirectionalG', 'float', 0, 0.999],
+
+  // Night
+  ['st', 'sky', 'starIntensity', 'float',   0, 1],
+  ['mi', 'sky', 'moonIntensity', 'float',   0, 2],
+  ['me', 'sky', 'moonElevation', 'float', -10, 90],
+  ['ma', 'sky', 'moonAzimuth',   'angle',   0, 360],
+  ['ms', 'sky', 'moonSize',      'float', 0.005, 0.1],
+];
+
+// --------------------
+// Snapshot / diff
+// --------------------
+export function snapshotScene(sky, cfg) {
+  const out = {};
+  for (const [key, target, prop, type] of SCENE_SCHEMA) {
+    const src = target === 'sky' ? sky : cfg;
+    out[key] = toWire(src[prop], type);
+  }
+  return out;
+}
+
+/** Inverse of snapshotScene(): `{ sky: {...}, cfg: {...} }` ready for applySharedScene(). */
+export function snapshotToConfig(snapshot) {
+  const out = { sky: {}, cfg: {} };
+  for (const [key, target, prop, type] of SCENE_SCHEMA) {
+    if (!(key in snapshot)) continue;
+    out[target][prop] = fromWire(snapshot[key], type);
+  }
+  return out;
+}
+
+function toWire(value, type) {
+  if (type === 'color') return normalizeHex(value);
+  if (type === 'palette') return (value || []).map(normalizeHex);
+  if (type === 'float' || type === 'angle') return Math.round(value * 10000) / 10000;
+  return value;
+}
+
+function fromWire(value, type) {
+  if (type === 'color') return `#${value}`;
+  if (type === 'palette') return value.map((c) => `#${c}`);
+  return value;
+}
+
+function normalizeHex(value) {
+  return String(value).replace(/^#/, '').toLowerCase();
+}
+
+// --------------------
+// Encode
+// --------------------
+export function encodeSceneConfig(sky, cfg, defaults = null) {
+  const current = snapshotScene(sky, cfg);
+  const data = {};
+  for (const [key, value] of Object.entries(current)) {
+    if (defaults && JSON.stringify(defaults[key]) === JSON.stringify(value)) continue;
+    data[key] = value;
+  }
+  return `${SHARE_VERSION}.${toBase64Url(JSON.stringify(data))}`;
+}
+
+/**
+ * The current page's link with the scene in its fragment. The payload is
+ * diffed against the base defaults, so any ?sky= preset is left out: the
+ * recipient would apply it first and every field the sender set back to its
+ * base value would come out as the preset's instead.
+ */
+export function sceneShareUrl(sky, cfg, defaults = null, loc = window.location) {
+  const search = new URLSearchParams(loc.search || '');
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  search.delete('sky');
+  hash.delete('sky');
+  hash.set(SHARE_PARAM, encodeSceneConfig(sky, cfg, defaults));
+  const query = search.toString();
+  return `${loc.origin}${loc.pathname}${query ? `?${query}` : ''}#${hash.toString()}`;
+}
+
+// --------------------
+// Decode + validate
+// --------------------
+/**
+ * Returns `{ sky: {...}, cfg: {...} }` with only valid, clamped values,
+ * or null when the payload is missing, from an unknown version or corrupt.
+ */
+export function decodeSceneConfig(str) {
+  if (typeof str !== 'string' || !str) return null;
+
+  const dot = str.indexOf('.');
+  if (dot < 0) {
+    console.warn('Ignoring shared scene: malformed payload (no version)');
+    return null;
+  }
+  const version = Number(str.slice(0, dot));
+  if (version !== SHARE_VERSION) {
+    console.warn(`Ignoring shared scene: unsupported version "${str.slice(0, dot)}"`);
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(str.slice(dot + 1)));
+  } catch {
+    console.warn('Ignoring shared scene: payload could not be decoded');
+    return null;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+  const out = { sky: {}, cfg: {} };
+  for (const [key, target, prop, type, min, max] of SCENE_SCHEMA) {
+    if (!(key in data)) continue;
+    const value = validate(data[key], type, min, max);
+    if (value !== undefined) out[target][prop] = value;
+  }
+  return out;
+}
+
+function validate(value, type, min, max) {
+  switch (type) {
+    case 'int': {
+      const n = Number(value);
+      return Number.isFinite(n) ? clamp(Math.round(n), min, max) : undefined;
+    }
+    case 'float': {
+      const n = Number(value);
+      return Number.isFinite(n) ? clamp(n, min, max) : undefined;
+    }
+    case 'angle': {
+      const n = Number(value);
+      return Number.isFinite(n) ? ((n % 360) + 360) % 360 : undefined;
+    }
+    case 'enum':
+      return min.includes(value) ? value : undefined;
+    case 'color':
+      return isHex(value) ? `#${value.toLowerCase()}` : undefined;
+    case 'palette': {
+      if (!Array.isArray(value)) return undefined;
+      const colors = value.filter(isHex).slice(0, max).map((c) => `#${c.toLowerCase()}`);
+      return colors.length >= min ? colors : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+const isHex = (v) => typeof v === 'string' && /^[0-9a-f]{6}$/i.test(v);
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+// --------------------
+// Boot helpers
+// --------------------
+export function readSharedScene(loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  return decodeSceneConfig(hash.get(SHARE_PARAM) || search.get(SHARE_PARAM));
+}
+
+export function applySharedScene(shared, sky, cfg) {
+  if (!shared) return false;
+  Object.assign(sky, shared.sky);
+  Object.assign(cfg, shared.cfg);
+  return true;
+}
+
+// --------------------
+// base64url (UTF-8 safe)
+// --------------------
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str);
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
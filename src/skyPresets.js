@@ -0,0 +1,182 @@
+// src/skyPresets.js
+import { Color } from 'three';
+
+/**
+ * Named sky moods. Each preset is a complete SKY_CONFIG (gradient, sun, fog,
+ * lights, exposure, stars/moon) so any two can be cross-faded key by key.
+ */
+
+const NO_NIGHT = {
+  starIntensity: 0.0,
+  moonIntensity: 0.0,
+  moonElevation: 35,
+  moonAzimuth: 140,
+  moonSize: 0.025,
+};
+
+export const SKY_PRESETS = {
+  sunset: {
+    topColor: '#4a2c5e',
+    horizonColor: '#ff9a76',
+    bottomColor: '#ffd4a3',
+    sunElevation: 8,
+    sunAzimuth: 180,
+    sunIntensity: 1.3,
+    sunSize: 0.04,
+    glowIntensity: 0.8,
+    atmosphericScatter: 0.4,
+    horizonFalloff: 4.0,
+    ambientIntensity: 0.5,
+    sunLightIntensity: 1.2,
+    hemiIntensity: 0.65,
+    fogDensity: 0.008,
+    fogColor: '#ffb89d',
+    exposure: 1.1,
+    ...NO_NIGHT,
+  },
+
+  day: {
+    topColor: '#2f6fd0',
+    horizonColor: '#a9d2f5',
+    bottomColor: '#e3f1ff',
+    sunElevation: 55,
+    sunAzimuth: 180,
+    sunIntensity: 1.6,
+    sunSize: 0.03,
+    glowIntensity: 0.5,
+    atmosphericScatter: 0.15,
+    horizonFalloff: 3.0,
+    ambientIntensity: 0.6,
+    sunLightIntensity: 2.0,
+    hemiIntensity: 0.9,
+    fogDensity: 0.005,
+    fogColor: '#c4dcf2',
+    exposure: 1.0,
+    ...NO_NIGHT,
+  },
+
+  goldenHour: {
+    topColor: '#5b7fb5',
+    horizonColor: '#ffb347',
+    bottomColor: '#ffe0a3',
+    sunElevation: 15,
+    sunAzimuth: 200,
+    sunIntensity: 1.5,
+    sunSize: 0.035,
+    glowIntensity: 1.1,
+    atmosphericScatter: 0.6,
+    horizonFalloff: 3.5,
+    ambientIntensity: 0.5,
+    sunLightIntensity: 1.6,
+    hemiIntensity: 0.7,
+    fogDensity: 0.007,
+    fogColor: '#ffd08a',
+    exposure: 1.15,
+    ...NO_NIGHT,
+  },
+
+  dawn: {
+    topColor: '#3b4f7a',
+    horizonColor: '#f7a8b8',
+    bottomColor: '#ffe3d3',
+    sunElevation: 4,
+    sunAzimuth: 90,
+    sunIntensity: 1.0,
+    sunSize: 0.045,
+    glowIntensity: 0.7,
+    atmosphericScatter: 0.35,
+    horizonFalloff: 5.0,
+    ambientIntensity: 0.45,
+    sunLightIntensity: 0.9,
+    hemiIntensity: 0.6,
+    fogDensity: 0.011,
+    fogColor: '#f3c4c8',
+    exposure: 1.0,
+    ...NO_NIGHT,
+  },
+
+  overcast: {
+    topColor: '#8c96a3',
+    horizonColor: '#c9ced4',
+    bottomColor: '#dfe2e5',
+    sunElevation: 35,
+    sunAzimuth: 160,
+    sunIntensity: 0.25,
+    sunSize: 0.08,
+    glowIntensity: 0.15,
+    atmosphericScatter: 0.05,
+    horizonFalloff: 2.5,
+    ambientIntensity: 0.7,
+    sunLightIntensity: 0.5,
+    hemiIntensity: 1.0,
+    fogDensity: 0.014,
+    fogColor: '#c5cacf',
+    exposure: 1.0,
+    ...NO_NIGHT,
+  },
+
+  night: {
+    topColor: '#050818',
+    horizonColor: '#1b2140',
+    bottomColor: '#2a2f4f',
+    sunElevation: -8,
+    sunAzimuth: 180,
+    sunIntensity: 0.0,
+    sunSize: 0.04,
+    glowIntensity: 0.0,
+    atmosphericScatter: 0.0,
+    horizonFalloff: 4.0,
+    ambientIntensity: 0.25,
+    sunLightIntensity: 0.35,
+    hemiIntensity: 0.35,
+    fogDensity: 0.010,
+    fogColor: '#141a33',
+    exposure: 1.2,
+    starIntensity: 1.0,
+    moonIntensity: 1.0,
+    moonElevation: 35,
+    moonAzimuth: 140,
+    moonSize: 0.025,
+  },
+};
+
+export const DEFAULT_PRESET = 'sunset';
+
+export function isSkyPreset(name) {
+  return Object.prototype.hasOwnProperty.call(SKY_PRESETS, name);
+}
+
+// --------------------
+// Blending
+// --------------------
+const ca = new Color();
+const cb = new Color();
+
+/**
+ * Writes the blend of sky configs `a` -> `b` at `t` (0..1) into `out`.
+ * Colors blend in linear space, azimuths take the short way round.
+ */
+export function lerpSkyConfig(a, b, t, out) {
+  for (const key of Object.keys(b)) {
+    const va = a[key];
+    const vb = b[key];
+    if (typeof vb === 'string') {
+      ca.set(va);
+      cb.set(vb);
+      out[key] = `#${ca.lerp(cb, t).getHexString()}`;
+    } else if (key.endsWith('Azimuth')) {
+      const d = ((((vb - va) % 360) + 540) % 360) - 180;
+      out[key] = (((va + d * t) % 360) + 360) % 360;
+    } else {
+      out[key] = va + (vb - va) * t;
+    }
+  }
+  return out;
+}
+
+export function readSkyPreset(loc = window.location) {
+  const hash = new URLSearchParams((loc.hash || '').replace(/^#/, ''));
+  const search = new URLSearchParams(loc.search || '');
+  const name = hash.get('sky') || search.get('sky');
+  return isSkyPreset(name) ? name : null;
+}
@@ -0,0 +1,162 @@
+// test/gardenData.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  generateChunkedFlowerLayout, generateFlowerLayout, generateGrass, generateGround, generateRosePetals, groundHeight,
+} from '../src/gardenData.js';
+import { FLOWER_SPECIES } from '../src/flowerSpecies.js';
+import { createStream, streamSeed } from '../src/random.js';
+import { assertSaneGeometry, createSnapshots, describeGeometry } from './snapshot.js';
+
+const snapshots = createSnapshots(new URL('./snapshots/gardenData.json', import.meta.url));
+after(() => snapshots.save());
+
+const LAYOUT = { seed: 20260214, count: 2000, clearRadius: 7, fieldRadius: 60, palette: ['#ff6fa8', '#ffffff'] };
+
+/** A generator result as a geometry, so it goes through the same checks. */
+function toGeometry({ position, normal, index }) {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(position, 3));
+  if (normal) geo.setAttribute('normal', new THREE.BufferAttribute(normal, 3));
+  if (index) geo.setIndex(new THREE.BufferAttribute(index, 1));
+  return geo;
+}
+
+const plain = (layout) => layout.species.map((sp) => Object.fromEntries(
+  Object.entries(sp).map(([key, value]) => [key, Array.from(value)])
+));
+
+// --------------------
+// Streams
+// --------------------
+test('streams: same seed and name, same numbers', () => {
+  const a = createStream(7, 'flowers');
+  const b = createStream(7, 'flowers');
+  for (let i = 0; i < 100; i++) assert.equal(a(), b());
+});
+
+test('streams: different seeds or names give unrelated numbers', () => {
+  const seeds = new Set([
+    streamSeed(7, 'flowers'), streamSeed(8, 'flowers'), streamSeed(7, 'grass'), streamSeed(7, 'hearts'),
+  ]);
+  assert.equal(seeds.size, 4);
+
+  const r = createStream(7, 'x');
+  for (let i = 0; i < 1000; i++) {
+    const v = r.range(-2, 3);
+    assert.ok(v >= -2 && v < 3);
+  }
+});
+
+// --------------------
+// Ground and grass
+// --------------------
+test('ground: sits on groundHeight()', () => {
+  const data = generateGround({ size: 40, segments: 8 });
+  const geo = toGeometry(data);
+  assertSaneGeometry(geo, 'ground');
+  snapshots.match('ground', describeGeometry(geo));
+
+  const { position } = data;
+  for (let i = 0; i < position.length; i += 3) {
+    assert.equal(position[i + 1], Math.fround(groundHeight(position[i], position[i + 2])));
+  }
+});
+
+test('grass: reproducible, and a smaller count is a prefix of a larger one', () => {
+  const full = generateGrass({ seed: 1, count: 400 });
+  const again = generateGrass({ seed: 1, count: 400 });
+  const phone = generateGrass({ seed: 1, count: 100 });
+  const other = generateGrass({ seed: 2, count: 400 });
+
+  assert.deepEqual(full, again);
+  assert.deepEqual(phone.position, full.position.slice(0, 300));
+  assert.notDeepEqual(other.position, full.position);
+  assert.ok(full.position.every(Number.isFinite) && full.size.every(Number.isFinite));
+});
+
+// --------------------
+// Flower layout
+// --------------------
+test('flower layout: every flower placed once, in the field, reproducibly', () => {
+  const layout = generateFlowerLayout(LAYOUT);
+  assert.equal(layout.species.length, FLOWER_SPECIES.length);
+  assert.deepEqual(plain(generateFlowerLayout(LAYOUT)), plain(layout));
+
+  let total = 0;
+  for (const sp of layout.species) {
+    const n = sp.xz.length / 2;
+    total += n;
+    assert.equal(sp.matrices.length, n * 16);
+    assert.equal(sp.colors.length, n * 3);
+    assert.equal(sp.sway.length, n);
+    assert.equal(sp.phase.length, n);
+    for (const arr of Object.values(sp)) assert.ok(arr.every(Number.isFinite));
+
+    for (let i = 0; i < sp.xz.length; i += 2) {
+      // jitter can nudge a flower 2.5 units in x and z past the rings
+      const r = Math.hypot(sp.xz[i], sp.xz[i + 1]);
+      assert.ok(r > LAYOUT.clearRadius - 3.6 && r < LAYOUT.fieldRadius + 3.6, `flower at radius ${r}`);
+    }
+  }
+  assert.equal(total, LAYOUT.count);
+});
+
+test('flower layout: a new palette retints flowers without moving them', () => {
+  const before = generateFlowerLayout(LAYOUT);
+  const after = generateFlowerLayout({ ...LAYOUT, palette: ['#ffd700'] });
+  assert.deepEqual(after.species.map((sp) => sp.xz), before.species.map((sp) => sp.xz));
+});
+
+test('flower layout: another seed, another field', () => {
+  const a = generateFlowerLayout(LAYOUT);
+  const b = generateFlowerLayout({ ...LAYOUT, seed: LAYOUT.seed + 1 });
+  assert.notDeepEqual(plain(a), plain(b));
+});
+
+test('chunked layout: each chunk a contiguous run of nearby flowers, none lost', () => {
+  const chunkSize = 12;
+  const flat = generateFlowerLayout(LAYOUT);
+  const { species } = generateChunkedFlowerLayout({ ...LAYOUT, chunkSize });
+
+  species.forEach(({ xz, colors, chunked: { ids, starts, bounds, matrices, attributes } }, i) => {
+    assert.deepEqual(xz, flat.species[i].xz);
+    assert.deepEqual(colors, flat.species[i].colors);
+    assert.deepEqual(Array.from(ids).sort((a, b) => a - b), Array.from(xz.keys()).slice(0, xz.length / 2));
+    assert.equal(starts[0], 0);
+    assert.equal(starts[starts.length - 1], ids.length);
+
+    for (let c = 0; c < starts.length - 1; c++) {
+      const [cx, cz, r] = bounds.subarray(c * 3, c * 3 + 3);
+      const cells = new Set();
+      for (let s = starts[c]; s < starts[c + 1]; s++) {
+        const id = ids[s];
+        const x = xz[id * 2], z = xz[id * 2 + 1];
+        cells.add(`${Math.floor(x / chunkSize)},${Math.floor(z / chunkSize)}`);
+        assert.ok(Math.hypot(x - cx, z - cz) <= r + 1e-4, 'inside its chunk bounds');
+        assert.deepEqual(matrices.subarray(s * 16, s * 16 + 16), flat.species[i].matrices.subarray(id * 16, id * 16 + 16));
+        assert.equal(attributes.aPhase.array[s], flat.species[i].phase[id]);
+      }
+      assert.equal(cells.size, 1, 'one ground cell per chunk');
+    }
+  });
+});
+
+// --------------------
+// Rose petals
+// --------------------
+test('rose petals: 28 x 320 grid, around the stem top', () => {
+  const data = generateRosePetals();
+  const geo = toGeometry(data);
+  assertSaneGeometry(geo, 'rosePetals');
+  assert.equal(geo.getAttribute('position').count, 28 * 320);
+  assert.equal(geo.index.count, 27 * 319 * 6);
+  snapshots.match('rosePetals', describeGeometry(geo));
+
+  // No degenerate normals (zero length after smoothing)
+  for (let i = 0; i < data.normal.length; i += 3) {
+    const len = Math.hypot(data.normal[i], data.normal[i + 1], data.normal[i + 2]);
+    assert.ok(len > 0.99 && len < 1.01, `normal ${i / 3} has length ${len}`);
+  }
+});
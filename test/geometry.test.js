@@ -0,0 +1,109 @@
+// test/geometry.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FLOWER_SPECIES } from '../src/flowerSpecies.js';
+import { buildFlowerImpostorGeometry, buildSingleFlowerGeometry, flowerBuilder } from '../src/flowerGeometry.js';
+import {
+  createCompoundLeafGeo, createLeafletGeometry, createRoseLeavesGeometry, createRoseStemGeometry,
+} from '../src/roseGeometry.js';
+import { createHeartGeometry } from '../src/heartGeometry.js';
+import { createStream } from '../src/random.js';
+import * as THREE from 'three';
+import { assertSaneGeometry, createSnapshots, describeGeometry } from './snapshot.js';
+
+const snapshots = createSnapshots(new URL('./snapshots/geometry.json', import.meta.url));
+after(() => snapshots.save());
+
+function check(name, geo) {
+  assertSaneGeometry(geo, name);
+  snapshots.match(name, describeGeometry(geo));
+}
+
+// --------------------
+// Meadow
+// --------------------
+for (const { id } of FLOWER_SPECIES) {
+  test(`${id}: three levels of detail, each cheaper than the last`, () => {
+    const build = flowerBuilder(id);
+    assert.equal(typeof build, 'function');
+
+    const geos = [0, 1, 2].map((detail) => build(detail));
+    geos.forEach((geo, detail) => {
+      check(`${id}.lod${detail}`, geo);
+      assert.ok(geo.getAttribute('color'), `${id}.lod${detail}: vertex colors for the instance tint`);
+    });
+    const counts = geos.map((geo) => geo.getAttribute('position').count);
+    assert.ok(counts[0] > counts[1] && counts[1] > counts[2], `vertex counts ${counts} should shrink`);
+
+    // Flowers stand on the ground
+    geos[0].computeBoundingBox();
+    assert.ok(Math.abs(geos[0].boundingBox.min.y) < 0.05, `${id} starts at the ground`);
+  });
+}
+
+test('daisy: seeded petal jitter is reproducible and follows the seed', () => {
+  const positions = (seed) =>
+    Array.from(buildSingleFlowerGeometry(0, createStream(seed, 'daisy')).getAttribute('position').array);
+
+  assert.deepEqual(positions(1), positions(1));
+  assert.notDeepEqual(positions(1), positions(2));
+
+  // Without a stream the petals are evenly spaced, and that's what the snapshot records
+  check('daisy.lod0.even', buildSingleFlowerGeometry(0));
+});
+
+test('impostor card: same footprint as the flower, standing on the ground', () => {
+  const geo = buildFlowerImpostorGeometry(0.8, 1.6);
+  check('impostor', geo);
+  geo.computeBoundingBox();
+  assert.ok(Math.abs(geo.boundingBox.min.y) < 1e-6);
+  assert.ok(Math.abs(geo.boundingBox.max.y - 1.6) < 1e-6);
+});
+
+// --------------------
+// Rose
+// --------------------
+test('leaflet: serrated outline, bent along its length', () => {
+  const geo = createLeafletGeometry(0.15, 0.07, 6);
+  check('leaflet', geo);
+  geo.computeBoundingBox();
+  assert.ok(Math.abs(geo.boundingBox.max.y - 0.15) < 1e-6, 'reaches its length');
+});
+
+test('compound leaf: petiole plus three leaflets, placed and turned', () => {
+  const base = new THREE.Vector3(0.08, 0.28, 0.03);
+  const geo = createCompoundLeafGeo(base, new THREE.Euler(0, 0, -0.9), 0.1, 0.15, 0.07, 8);
+  check('compoundLeaf', geo);
+
+  const leaflet = createLeafletGeometry(0.15, 0.07, 8).getAttribute('position').count;
+  const petiole = new THREE.CylinderGeometry(0.008, 0.012, 0.1, 8).getAttribute('position').count;
+  assert.equal(geo.getAttribute('position').count, petiole + leaflet * 3);
+});
+
+test('rose leaves', () => {
+  check('roseLeaves', createRoseLeavesGeometry());
+});
+
+test('rose stem: tapered tube that reaches the petals', () => {
+  const { geometry, curve, radiusAt } = createRoseStemGeometry();
+  check('roseStem', geometry);
+
+  assert.ok(radiusAt(0) > radiusAt(1), 'thicker at the bottom');
+  assert.equal(curve.getPointAt(0).y, 0);
+  assert.ok(Math.abs(curve.getPointAt(1).y - 0.65) < 1e-6, 'stem top is where the petals sit');
+});
+
+// --------------------
+// Hearts
+// --------------------
+test('heart: scales with size', () => {
+  const unit = createHeartGeometry(1);
+  const small = createHeartGeometry(0.35);
+  check('heart', unit);
+  assertSaneGeometry(small, 'heart(0.35)');
+
+  unit.computeBoundingBox();
+  small.computeBoundingBox();
+  const width = (g) => g.boundingBox.max.x - g.boundingBox.min.x;
+  assert.ok(Math.abs(width(small) - width(unit) * 0.35) < 1e-6);
+});
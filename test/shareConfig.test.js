@@ -0,0 +1,94 @@
+// test/shareConfig.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SHARE_PARAM, SHARE_VERSION, decodeSceneConfig, encodeSceneConfig, sceneShareUrl, snapshotScene,
+} from '../src/shareConfig.js';
+
+const SKY = {
+  topColor: '#4A2C5E', horizonColor: '#ff9a76', bottomColor: '#ffd4a3',
+  sunElevation: 8, sunAzimuth: 180, sunIntensity: 1.3, sunSize: 0.04, glowIntensity: 0.8,
+  atmosphericScatter: 0.4, horizonFalloff: 4,
+  ambientIntensity: 0.5, sunLightIntensity: 1.2, hemiIntensity: 0.65,
+  fogDensity: 0.008, fogColor: '#ffb89d', exposure: 1.1,
+  skyModel: 'gradient', turbidity: 10, rayleigh: 2, mieCoefficient: 0.005, mieDirectionalG: 0.8,
+  starIntensity: 0, moonIntensity: 0, moonElevation: 35, moonAzimuth: 140, moonSize: 0.025,
+};
+const CFG = {
+  seed: 20260214, flowerCount: 8000, fieldRadius: 60, flowerPalette: ['#ff6fa8', '#FFFFFF'],
+  roseHeight: 3, heartCount: 300, heartScale: 0.4,
+};
+
+/** A raw payload, as a hand-edited or hostile link would carry it. */
+const payload = (data) => `${SHARE_VERSION}.${Buffer.from(JSON.stringify(data)).toString('base64url')}`;
+
+// --------------------
+// Round trip
+// --------------------
+test('encode/decode: every field survives the trip', () => {
+  const shared = decodeSceneConfig(encodeSceneConfig(SKY, CFG));
+  assert.deepEqual(shared.cfg, { ...CFG, flowerPalette: ['#ff6fa8', '#ffffff'] });
+  assert.deepEqual(shared.sky, { ...SKY, topColor: '#4a2c5e' });
+});
+
+test('encode: only what differs from the defaults', () => {
+  const defaults = snapshotScene(SKY, CFG);
+  const str = encodeSceneConfig({ ...SKY, exposure: 1.5 }, { ...CFG, seed: 7 }, defaults);
+  assert.deepEqual(decodeSceneConfig(str), { sky: { exposure: 1.5 }, cfg: { seed: 7 } });
+  assert.deepEqual(decodeSceneConfig(encodeSceneConfig(SKY, CFG, defaults)), { sky: {}, cfg: {} });
+});
+
+test('share link: keeps other params, drops ?sky= so the preset isn\'t applied on top', () => {
+  const loc = {
+    origin: 'https://example.test', pathname: '/garden/', search: '?sky=night&lang=es', hash: '#sky=day&edit',
+  };
+  const url = new URL(sceneShareUrl(SKY, CFG, null, loc));
+  const hash = new URLSearchParams(url.hash.slice(1));
+
+  assert.equal(url.search, '?lang=es');
+  assert.equal(hash.has('sky'), false);
+  assert.equal(hash.has('edit'), true);
+  assert.equal(decodeSceneConfig(hash.get(SHARE_PARAM)).cfg.seed, CFG.seed);
+
+  const bare = sceneShareUrl(SKY, CFG, null, { ...loc, search: '?sky=night', hash: '' });
+  assert.ok(bare.startsWith('https://example.test/garden/#'), bare);
+});
+
+// --------------------
+// Validation
+// --------------------
+test('decode: numbers clamped, angles wrapped, ints rounded', () => {
+  const { sky, cfg } = decodeSceneConfig(payload({
+    fc: 1e9, fr: -5, hc: 12.6, ex: '2.5', se: 400, sa: -90, ma: 725,
+  }));
+  assert.equal(cfg.flowerCount, 30000);
+  assert.equal(cfg.fieldRadius, 30);
+  assert.equal(cfg.heartCount, 13);
+  assert.equal(sky.exposure, 2.5);
+  assert.equal(sky.sunElevation, 90);
+  assert.equal(sky.sunAzimuth, 270);
+  assert.equal(sky.moonAzimuth, 5);
+});
+
+test('decode: bad values and unknown keys are dropped, not guessed', () => {
+  const shared = decodeSceneConfig(payload({
+    tc: 'red', fo: '#ffffff', sm: 'vaporwave', se: 'high', fp: ['ff0000', 'nope'], zz: 1,
+    constructor: 1,
+  }));
+  assert.deepEqual(shared, { sky: {}, cfg: { flowerPalette: ['#ff0000'] } });
+
+  assert.deepEqual(decodeSceneConfig(payload({ fp: ['zzzzzz'] })).cfg, {});
+  assert.equal(decodeSceneConfig(payload({ fp: Array(20).fill('abcdef') })).cfg.flowerPalette.length, 12);
+});
+
+test('decode: missing, malformed, unknown version or corrupt payloads give null', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.equal(decodeSceneConfig(null), null);
+  assert.equal(decodeSceneConfig(''), null);
+  assert.equal(decodeSceneConfig('no-dot-here'), null);
+  assert.equal(decodeSceneConfig(`${SHARE_VERSION + 1}.e30`), null);
+  assert.equal(decodeSceneConfig(`${SHARE_VERSION}.!!!`), null);
+  assert.equal(decodeSceneConfig(payload([1, 2])), null);
+  assert.equal(warn.mock.callCount(), 3);
+});
@@ -0,0 +1,87 @@
+// test/snapshot.js
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Geometry checks shared by the test files, plus tiny JSON snapshots.
+ * A snapshot records what a builder produces (vertex and index counts, a
+ * rounded bounding box), so an accidental change to a shape fails the suite.
+ * After an intended change, re-record with `npm run test:update`.
+ */
+
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+const round = (n) => Math.round(n * 1e4) / 1e4 + 0;   // + 0 folds -0 into 0
+
+/** Every attribute finite, every index in range, whole triangles. */
+export function assertSaneGeometry(geo, label) {
+  const position = geo.getAttribute('position');
+  assert.ok(position && position.count > 0, `${label}: has vertices`);
+
+  for (const [name, attr] of Object.entries(geo.attributes)) {
+    for (let i = 0; i < attr.array.length; i++) {
+      if (!Number.isFinite(attr.array[i])) {
+        assert.fail(`${label}: ${name}[${i}] is ${attr.array[i]}`);
+      }
+    }
+  }
+
+  if (geo.index) {
+    const { array } = geo.index;
+    assert.equal(array.length % 3, 0, `${label}: index count is a multiple of 3`);
+    for (let i = 0; i < array.length; i++) {
+      if (array[i] >= position.count) {
+        assert.fail(`${label}: index[${i}] = ${array[i]} but there are ${position.count} vertices`);
+      }
+    }
+  } else {
+    assert.equal(position.count % 3, 0, `${label}: vertex count is a multiple of 3`);
+  }
+}
+
+/** The numbers a snapshot keeps for a geometry. */
+export function describeGeometry(geo) {
+  geo.computeBoundingBox();
+  const { min, max } = geo.boundingBox;
+  return {
+    vertices: geo.getAttribute('position').count,
+    indices: geo.index ? geo.index.count : 0,
+    attributes: Object.keys(geo.attributes).sort(),
+    min: [min.x, min.y, min.z].map(round),
+    max: [max.x, max.y, max.z].map(round),
+  };
+}
+
+/**
+ * Compares `value` with the stored snapshot `name` in `file`. Snapshots are
+ * only ever recorded with UPDATE_SNAPSHOTS=1; otherwise a missing one fails,
+ * so a new builder can't pass CI without a committed snapshot.
+ * @param {string | URL} file
+ */
+export function createSnapshots(file) {
+  const path = file instanceof URL ? fileURLToPath(file) : file;
+  const stored = existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : {};
+  let dirty = false;
+
+  return {
+    match(name, value) {
+      if (UPDATE) {
+        stored[name] = value;
+        dirty = true;
+        return;
+      }
+      if (!Object.hasOwn(stored, name)) assert.fail(`missing snapshot "${name}", run npm run test:update`);
+      assert.deepEqual(value, stored[name], `snapshot "${name}" changed (npm run test:update if intended)`);
+    },
+
+    /** Writes recorded snapshots back; call once, after the file's tests. */
+    save() {
+      if (!dirty) return;
+      mkdirSync(dirname(path), { recursive: true });
+      const sorted = Object.fromEntries(Object.keys(stored).sort().map((k) => [k, stored[k]]));
+      writeFileSync(path, `${JSON.stringify(sorted, null, 2)}\n`);
+    },
+  };
+}